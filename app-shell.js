@@ -0,0 +1,44 @@
+// Installable app: service worker registration and photos shared into the app
+//
+// service-worker.js caches the app shell and receives photos sent from other apps through the
+// manifest's share_target. It parks them in SHARED_PHOTOS_CACHE and opens the page with
+// ?shared-photos=<count>; takeSharedPhotos turns them back into Files for processFiles.
+
+const SHARED_PHOTOS_CACHE = 'style-matcher-shared-photos';   // Same name as in service-worker.js
+const SHARED_PHOTOS_PARAM = 'shared-photos';
+
+// Resolves with the registration, or null where service workers are unavailable (file://, old browsers)
+export async function registerServiceWorker(url = './service-worker.js') {
+    if (!('serviceWorker' in navigator)) return null;
+    try {
+        return await navigator.serviceWorker.register(url);
+    } catch (error) {
+        console.warn('Service worker could not be registered, the app will not work offline:', error);
+        return null;
+    }
+}
+
+// Photos shared into the app since it was last opened; empty unless opened by the share target.
+// Each photo is taken only once.
+export async function takeSharedPhotos() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has(SHARED_PHOTOS_PARAM) || typeof caches === 'undefined') return [];
+
+    // A reload should not add the photos again
+    params.delete(SHARED_PHOTOS_PARAM);
+    const query = params.toString();
+    history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+
+    const cache = await caches.open(SHARED_PHOTOS_CACHE);
+    const photos = [];
+    for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        await cache.delete(request);
+        if (!response) continue;
+
+        const blob = await response.blob();
+        const name = decodeURIComponent(response.headers.get('X-File-Name') || '') || 'Shared photo';
+        photos.push(new File([blob], name, { type: blob.type }));
+    }
+    return photos;
+}
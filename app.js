@@ -1,25 +1,134 @@
 // AI Style Matcher Application JavaScript
+// The page on top of StyleEngine (style-engine.js): renders the engine's state and turns user
+// input into engine calls. Photos are decoded here and handed to the engine as pixels.
+
+import { registerServiceWorker, takeSharedPhotos } from './app-shell.js';
+import { CameraCapture } from './camera-capture.js';
+import { buildElement, replaceContent } from './dom-builder.js';
+import { GapReport } from './gap-report.js';
+import { decodeImage, preprocessImage, readImagePixels } from './image-pipeline.js';
+import { OccasionEditor } from './occasion-editor.js';
+import { OutfitCalendar } from './outfit-calendar.js';
+import { describeItem, describeItemPalette, describeItemPhoto } from './outfit-explanation.js';
+import { PLANNER_DEFAULT_REPEAT_DAYS, toDateKey } from './outfit-planner.js';
+import { renderOutfitPreview } from './outfit-preview.js';
+import {
+    buildShareUrl, combinationShareState, decodeShareState, encodeShareState, readShareFragment, renderShareCard,
+    shareImageHash
+} from './outfit-share.js';
+import {
+    HttpRecommendationEngine, LocalRecommendationEngine, createRecommendationEngine
+} from './recommendation-engine.js';
+import { StyleEngine } from './style-engine.js';
+import { readWardrobeArchive } from './wardrobe-archive.js';
+import { WardrobePanel } from './wardrobe-panel.js';
+import { WardrobeStore } from './wardrobe-store.js';
+import { createWeatherProvider } from './weather-provider.js';
+
+const ANALYSIS_SAMPLE_SIZE = 256;   // Longest edge of the pixels handed to the engine's analysis
+
+// Content of a <meta name="..."> configuration tag, empty when it is missing
+function readMetaSetting(name) {
+    return document.querySelector(`meta[name="${name}"]`)?.content.trim() || '';
+}
 
-class AIStyleMatcher {
+export class AIStyleMatcher {
     constructor() {
-        this.uploadedImages = [];
+        this.engine = new StyleEngine({
+            store: new WardrobeStore(),
+            recommendationEngine: createRecommendationEngine(readMetaSetting('recommendation-endpoint')),
+            readPixels: async item => readImagePixels(await decodeImage(item.file), ANALYSIS_SAMPLE_SIZE)
+        });
+        this.imageUrls = new Map(); // Item id -> { file, src, thumbnail } object URLs of its photo
+        this.wardrobePanel = new WardrobePanel(this);
+        this.outfitCalendar = new OutfitCalendar(this);
+        this.occasionEditor = new OccasionEditor(this);
+        this.gapReport = new GapReport(this);
+        this.cameraCapture = new CameraCapture(this);
+        this.weatherProvider = null;
+        this.generationController = null;
+        // The configured engine; while offline a backend is swapped for generation in the browser
+        this.recommendationEngine = this.engine.recommendationEngine;
+        this.offlineRecommendationEngine = null;
         this.init();
     }
 
     init() {
+        registerServiceWorker();
+
         // Wait for DOM to be fully loaded
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
                 this.setupEventListeners();
                 this.updateGenerateButtonState();
+                this.loadWardrobe();
             });
         } else {
             this.setupEventListeners();
             this.updateGenerateButtonState();
+            this.loadWardrobe();
+        }
+    }
+
+    // Restore the saved wardrobe; without IndexedDB the app keeps working in memory only
+    async loadWardrobe() {
+        try {
+            await this.engine.load();
+        } catch (error) {
+            console.warn('Wardrobe could not be loaded, items will not be saved:', error);
+        }
+        this.openSharedOutfit().catch(error => this.reportSharedOutfitError(error));
+        this.receiveSharedPhotos();
+    }
+
+    // Photos sent from another app through the share target
+    async receiveSharedPhotos() {
+        let photos;
+        try {
+            photos = await takeSharedPhotos();
+        } catch (error) {
+            console.warn('Shared photos could not be read:', error);
+            this.showMessage('Could not read the shared photos. Please upload them here instead.');
+            return;
+        }
+        if (photos.length > 0) await this.processFiles(photos);
+    }
+
+    // Offline, outfits come from the browser and the weather lookup is unavailable
+    updateConnectionState() {
+        const offline = navigator.onLine === false;
+
+        if (this.recommendationEngine instanceof HttpRecommendationEngine) {
+            if (offline && !this.offlineRecommendationEngine) {
+                this.offlineRecommendationEngine = new LocalRecommendationEngine();
+            }
+            this.engine.recommendationEngine = offline ? this.offlineRecommendationEngine : this.recommendationEngine;
         }
+
+        const weatherBtn = document.getElementById('weatherBtn');
+        if (weatherBtn) weatherBtn.disabled = offline;
+
+        const offlineNotice = document.getElementById('offlineNotice');
+        if (offlineNotice) offlineNotice.classList.toggle('hidden', !offline);
     }
 
     setupEventListeners() {
+        this.weatherProvider = createWeatherProvider(readMetaSetting('weather-provider'));
+
+        // Re-render whatever the engine changed
+        this.engine.addEventListener('itemschange', () => {
+            this.releaseImageUrls();
+            this.renderImagePreviews();
+            this.outfitCalendar.render();
+            this.updateGenerateButtonState();
+        });
+        this.engine.addEventListener('pinschange', () => {
+            this.renderImagePreviews();
+            this.updateGenerateButtonState();
+        });
+        this.engine.addEventListener('calendarchange', () => this.outfitCalendar.render());
+        this.engine.addEventListener('occasionschange', () => this.renderOccasions());
+
         // Upload area events
         const uploadArea = document.getElementById('uploadArea');
         const fileInput = document.getElementById('fileInput');
@@ -30,6 +139,12 @@ class AIStyleMatcher {
                 e.stopPropagation();
                 fileInput.click();
             });
+            // The area acts as a button, so Enter and Space open the file picker too
+            uploadArea.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                fileInput.click();
+            });
             
             uploadArea.addEventListener('dragover', this.handleDragOver.bind(this));
             uploadArea.addEventListener('dragleave', this.handleDragLeave.bind(this));
@@ -39,12 +154,79 @@ class AIStyleMatcher {
             fileInput.addEventListener('change', this.handleFileSelect.bind(this));
         }
 
+        this.renderOccasionSelect();
+        this.wardrobePanel.setup();
+        this.outfitCalendar.setup();
+        this.occasionEditor.setup();
+        this.gapReport.setup();
+        this.cameraCapture.setup();
+
         // Form submission
         const form = document.getElementById('preferencesForm');
         if (form) {
             form.addEventListener('submit', this.handleFormSubmit.bind(this));
         }
 
+        // Weather lookup is only offered when a provider is configured
+        const weatherBtn = document.getElementById('weatherBtn');
+        if (weatherBtn) {
+            weatherBtn.classList.toggle('hidden', !this.weatherProvider);
+            weatherBtn.addEventListener('click', () => this.fillWeather());
+        }
+
+        // Export / import of the whole wardrobe
+        const exportBtn = document.getElementById('exportBtn');
+        const importBtn = document.getElementById('importBtn');
+        const importInput = document.getElementById('importInput');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportArchive());
+        }
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.importArchive(file, document.getElementById('importMode')?.value || 'merge');
+            });
+        }
+
+        // Share links opened while the app is already running
+        window.addEventListener('hashchange', () => {
+            this.openSharedOutfit().catch(error => this.reportSharedOutfitError(error));
+        });
+
+        window.addEventListener('online', () => {
+            this.updateConnectionState();
+            this.announce('Back online.');
+        });
+        window.addEventListener('offline', () => {
+            this.updateConnectionState();
+            this.announce('You are offline. Outfits are generated from your saved wardrobe.');
+        });
+        this.updateConnectionState();
+
+        const clearPinsBtn = document.getElementById('clearPinsBtn');
+        if (clearPinsBtn) {
+            clearPinsBtn.addEventListener('click', () => this.engine.clearPins());
+        }
+
+        const cancelBtn = document.getElementById('cancelBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this.cancelGeneration();
+                this.announce('Outfit generation cancelled.');
+                document.getElementById('generateBtn')?.focus();
+            });
+        }
+
+        const messageCloseBtn = document.getElementById('appMessageClose');
+        if (messageCloseBtn) {
+            messageCloseBtn.addEventListener('click', () => this.hideMessage());
+        }
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideMessage();
+        });
+
         // Form field changes to update button state
         const formFields = ['occasion', 'clothingType', 'colorPreference'];
         formFields.forEach(fieldId => {
@@ -56,6 +238,31 @@ class AIStyleMatcher {
         });
     }
 
+    // Errors and warnings: shown until dismissed and read out by screen readers (role="alert")
+    showMessage(message) {
+        const container = document.getElementById('appMessage');
+        const text = document.getElementById('appMessageText');
+        if (!container || !text) {
+            console.warn(message);
+            return;
+        }
+        container.classList.remove('hidden');
+        text.textContent = message;
+    }
+
+    hideMessage() {
+        const container = document.getElementById('appMessage');
+        if (!container || container.classList.contains('hidden')) return;
+        container.classList.add('hidden');
+        document.getElementById('appMessageText').textContent = '';
+    }
+
+    // Progress and results for screen readers, through the polite status region
+    announce(message) {
+        const status = document.getElementById('liveStatus');
+        if (status) status.textContent = message;
+    }
+
     handleDragOver(e) {
         e.preventDefault();
         e.stopPropagation();
@@ -93,62 +300,231 @@ class AIStyleMatcher {
         e.target.value = '';
     }
 
-    processFiles(files) {
+    async processFiles(files) {
         const imageFiles = files.filter(file => file.type.startsWith('image/'));
-        
-        imageFiles.forEach(file => {
-            if (this.uploadedImages.length < 12) { // Limit to 12 images
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    const imageData = {
-                        id: Date.now() + Math.random(),
-                        name: file.name,
-                        src: e.target.result,
-                        file: file
-                    };
-                    this.uploadedImages.push(imageData);
-                    this.renderImagePreviews();
-                    this.updateGenerateButtonState();
-                };
-                reader.readAsDataURL(file);
+
+        // Added one at a time so the quota check sees every accepted item
+        const countBefore = this.engine.items.length;
+        for (const [i, file] of imageFiles.entries()) {
+            if (this.engine.isFull()) {
+                this.showMessage(`Your wardrobe is full (${this.engine.quota} items). Remove some items to add more.`);
+                break;
             }
+            if (imageFiles.length > 1) this.announce(`Adding photo ${i + 1} of ${imageFiles.length}…`);
+            await this.addItem(file);
+        }
+        if (imageFiles.length > 0) {
+            // Replaced and merged duplicates do not add items
+            const added = this.engine.items.length - countBefore;
+            this.announce(`${added} item${added === 1 ? '' : 's'} added to your wardrobe.`);
+        }
+    }
+
+    async addItem(file) {
+        // Upright, downscaled and cut out from its background before anything else sees it
+        let processed;
+        try {
+            processed = await preprocessImage(file);
+        } catch (error) {
+            console.warn('Image preprocessing failed:', error);
+            this.showMessage(`Could not read "${file.name}". Please try a different photo.`);
+            return null;
+        }
+
+        const upload = this.engine.createItem({
+            name: file.name,
+            file: processed.image,
+            thumbnail: processed.thumbnail,
+            ...(await this.analyzeImage(processed.image, file.name))
         });
+
+        // The same photo, or the same garment photographed again
+        const match = await this.engine.findMatchingItem(upload);
+        if (match) {
+            const action = await this.askDuplicateAction(match, upload);
+            if (action === 'skip') return null;
+            if (action === 'replace') return this.engine.replaceItemPhoto(match.item, upload);
+            if (action === 'merge') {
+                await this.engine.mergeDuplicate(match.item, upload);
+                this.releaseImageUrls();
+                return match.item;
+            }
+            this.engine.reuseItemDetails(upload, match.item);
+        }
+
+        return this.engine.addItem(upload);
     }
 
-    renderImagePreviews() {
-        const container = document.getElementById('imagePreviews');
-        if (!container) return;
-        
-        container.innerHTML = '';
+    async analyzeImage(blob, name) {
+        try {
+            const img = await decodeImage(blob);
+            return this.engine.analyze(readImagePixels(img, ANALYSIS_SAMPLE_SIZE), name);
+        } catch (error) {
+            console.warn('Image analysis failed:', error);
+            return this.engine.analyze(null, name);
+        }
+    }
 
-        this.uploadedImages.forEach(image => {
-            const previewDiv = document.createElement('div');
-            previewDiv.className = 'image-preview';
-            
-            previewDiv.innerHTML = `
-                <img src="${image.src}" alt="${image.name}" />
-                <button class="image-remove" data-image-id="${image.id}" title="Remove image">
-                    ✕
-                </button>
-            `;
-            
-            // Add click event to remove button
-            const removeBtn = previewDiv.querySelector('.image-remove');
-            removeBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.removeImage(image.id);
-            });
-            
-            container.appendChild(previewDiv);
+    // Ask what to do with an upload that matches an item; resolves with 'keep', 'replace', 'merge'
+    // or 'skip'. Dismissing the question skips the upload.
+    askDuplicateAction(match, upload) {
+        const dialog = document.getElementById('duplicateDialog');
+        if (!dialog || typeof dialog.showModal !== 'function') {
+            return Promise.resolve(confirm(`"${upload.name}" looks like "${match.item.name}", which is already in your wardrobe. Add it anyway?`)
+                ? 'keep' : 'skip');
+        }
+
+        const duplicate = match.match === 'duplicate';
+        document.getElementById('duplicateTitle').textContent = duplicate ? 'Already in your wardrobe' : 'Same garment?';
+        document.getElementById('duplicateText').textContent = duplicate
+            ? `"${upload.name}" is the same photo as "${match.item.name}".`
+            : `"${upload.name}" looks like the same garment as "${match.item.name}". Keeping both copies its category, tags, seasons and occasions.`;
+        const existingImage = document.getElementById('duplicateExisting');
+        existingImage.src = this.getThumbnailUrl(match.item);
+        existingImage.alt = describeItemPhoto(match.item);
+        const newImage = document.getElementById('duplicateNew');
+        newImage.src = this.getThumbnailUrl(upload);
+        newImage.alt = describeItemPhoto(upload);
+
+        return new Promise(resolve => {
+            dialog.addEventListener('close', () => resolve(dialog.returnValue || 'skip'), { once: true });
+            dialog.returnValue = '';
+            dialog.showModal();
+        });
+    }
+
+    // Object URLs of an item's photo and thumbnail, created once for each photo
+    getImageUrls(item) {
+        let urls = this.imageUrls.get(item.id);
+        if (!urls || urls.file !== item.file) {
+            if (urls) this.revokeImageUrls(urls);
+            urls = {
+                file: item.file,
+                src: item.file ? URL.createObjectURL(item.file) : '',
+                thumbnail: item.thumbnail ? URL.createObjectURL(item.thumbnail) : null
+            };
+            this.imageUrls.set(item.id, urls);
+        }
+        return urls;
+    }
+
+    getThumbnailUrl(item) {
+        const urls = this.getImageUrls(item);
+        return urls.thumbnail || urls.src;
+    }
+
+    revokeImageUrls(urls) {
+        if (urls.src) URL.revokeObjectURL(urls.src);
+        if (urls.thumbnail) URL.revokeObjectURL(urls.thumbnail);
+    }
+
+    // Free the URLs of items that are no longer in the wardrobe
+    releaseImageUrls() {
+        this.imageUrls.forEach((urls, id) => {
+            if (this.engine.getItem(id)) return;
+            this.revokeImageUrls(urls);
+            this.imageUrls.delete(id);
         });
     }
 
-    removeImage(imageId) {
-        this.uploadedImages = this.uploadedImages.filter(img => img.id != imageId);
-        this.renderImagePreviews();
+    renderImagePreviews() {
+        this.wardrobePanel.render();
+        this.renderPinStatus();
+    }
+
+    renderPinStatus() {
+        const status = document.getElementById('pinStatus');
+        const text = document.getElementById('pinStatusText');
+        if (!status || !text) return;
+
+        const anchors = this.engine.getAnchorItems();
+        const excluded = this.engine.items.filter(img => this.engine.excludedIds.has(img.id));
+        const parts = [];
+        if (anchors.length > 0) parts.push(`Building around ${anchors.map(describeItem).join(', ')}`);
+        if (excluded.length > 0) parts.push(`leaving out ${excluded.length} item${excluded.length === 1 ? '' : 's'}`);
+
+        text.textContent = parts.length > 0 ? parts.join('; ') + '.' : '';
+        status.classList.toggle('hidden', parts.length === 0);
+    }
+
+    // Fill the preferences form's occasion select, keeping the current choice when it still exists
+    renderOccasionSelect() {
+        const select = document.getElementById('occasion');
+        if (!select) return;
+        const current = select.value;
+        replaceContent(select,
+            buildElement('option', { value: '' }, 'Select occasion'),
+            this.engine.occasionRules.map(rule => buildElement('option', { value: rule.id }, rule.label))
+        );
+        select.value = this.engine.getOccasionRule(current) ? current : '';
+    }
+
+    // Every list of occasions in the page
+    renderOccasions() {
+        this.renderOccasionSelect();
+        this.wardrobePanel.renderOccasionFilter();
+        this.outfitCalendar.renderPlanDays();
+        this.occasionEditor.render();
         this.updateGenerateButtonState();
     }
 
+    setArchiveStatus(message) {
+        const status = document.getElementById('archiveStatus');
+        if (status) status.textContent = message;
+    }
+
+    // Download the wardrobe, planned outfits and feedback as one JSON file
+    async exportArchive() {
+        try {
+            const archive = await this.engine.exportArchive();
+            const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `wardrobe-${toDateKey(new Date())}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            this.setArchiveStatus(`Exported ${archive.items.length} item${archive.items.length === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showMessage('Could not export the wardrobe. Please try again.');
+        }
+    }
+
+    // Import an archive, either merged into the wardrobe or replacing it.
+    // Photos already in the wardrobe (same image hash) are not added twice.
+    async importArchive(file, mode) {
+        let archive;
+        try {
+            archive = await readWardrobeArchive(file);
+        } catch (error) {
+            console.warn('Import failed:', error);
+            this.showMessage(`Could not import "${file.name}": ${error.message}`);
+            return;
+        }
+
+        const replace = mode === 'replace';
+        if (replace && !confirm('Replace your whole wardrobe, calendar and feedback with this archive?')) return;
+
+        let result;
+        try {
+            result = await this.engine.importArchive(archive, { replace });
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showMessage(`Could not import "${file.name}". Please check the file and try again.`);
+            return;
+        }
+
+        const notes = [`Imported ${result.items} item${result.items === 1 ? '' : 's'}`];
+        if (result.duplicates > 0) notes.push(`${result.duplicates} already in your wardrobe`);
+        if (result.skipped > 0) notes.push(`${result.skipped} skipped because the wardrobe is full`);
+        this.setArchiveStatus(notes.join(', ') + '.');
+    }
+
     updateGenerateButtonState() {
         const generateBtn = document.getElementById('generateBtn');
         const occasionField = document.getElementById('occasion');
@@ -156,7 +532,7 @@ class AIStyleMatcher {
         if (!generateBtn || !occasionField) return;
         
         const occasion = occasionField.value;
-        const hasImages = this.uploadedImages.length > 0;
+        const hasImages = this.engine.getGeneratorItems().length > 0;
 
         generateBtn.disabled = !(hasImages && occasion);
         
@@ -173,14 +549,15 @@ class AIStyleMatcher {
     async handleFormSubmit(e) {
         e.preventDefault();
         
-        if (this.uploadedImages.length === 0) {
-            alert('Please upload at least one clothing item.');
+        if (this.engine.getGeneratorItems().length === 0) {
+            this.showMessage('Please upload at least one clothing item.');
             return;
         }
 
         const occasion = document.getElementById('occasion')?.value;
         if (!occasion) {
-            alert('Please select an occasion.');
+            this.showMessage('Please select an occasion.');
+            document.getElementById('occasion')?.focus();
             return;
         }
 
@@ -197,28 +574,83 @@ class AIStyleMatcher {
             resultsSection.classList.add('hidden');
         }
 
-        // Simulate AI processing time
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
         // Get form data
         const occasion = document.getElementById('occasion')?.value || '';
         const clothingType = document.getElementById('clothingType')?.value || '';
         const colorPreference = document.getElementById('colorPreference')?.value || '';
+        const conditions = this.getConditions();
+
+        // A new request supersedes one still in flight
+        this.cancelGeneration();
+        const controller = new AbortController();
+        this.generationController = controller;
 
         // Generate combinations
-        const combinations = this.generateAICombinations(occasion, clothingType, colorPreference);
+        let combinations;
+        try {
+            combinations = await this.engine.recommend({
+                occasion, clothingType, colorPreference, conditions, repeatDays: this.getRepeatDays()
+            }, { signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Combination generation failed:', error);
+            this.hideLoading();
+            this.showMessage('Could not generate combinations. Please try again.');
+            return;
+        } finally {
+            if (this.generationController === controller) this.generationController = null;
+        }
         
         // Hide loading and show results
         this.hideLoading();
         this.displayResults(combinations);
     }
 
+    // Season and temperature from the form; null when neither is given
+    getConditions() {
+        const season = document.getElementById('season')?.value || '';
+        const temperatureText = document.getElementById('temperature')?.value || '';
+        const temperature = temperatureText === '' ? null : parseFloat(temperatureText);
+
+        if (!season && (temperature === null || isNaN(temperature))) return null;
+        return { season: season || null, temperature: isNaN(temperature) ? null : temperature };
+    }
+
+    async fillWeather() {
+        const weatherBtn = document.getElementById('weatherBtn');
+        if (!this.weatherProvider) return;
+
+        if (weatherBtn) weatherBtn.disabled = true;
+        try {
+            const conditions = await this.weatherProvider.getConditions();
+            const seasonField = document.getElementById('season');
+            const temperatureField = document.getElementById('temperature');
+            if (seasonField) seasonField.value = conditions.season || '';
+            if (temperatureField) temperatureField.value = Math.round(conditions.temperature);
+        } catch (error) {
+            console.warn('Weather lookup failed:', error);
+            this.showMessage(`Could not get the local weather: ${error.message}`);
+        } finally {
+            if (weatherBtn) weatherBtn.disabled = navigator.onLine === false;
+        }
+    }
+
+    cancelGeneration() {
+        if (!this.generationController) return;
+        this.generationController.abort();
+        this.generationController = null;
+        this.hideLoading();
+    }
+
     showLoading() {
         const loadingSection = document.getElementById('loadingSection');
         if (loadingSection) {
             loadingSection.classList.remove('hidden');
             loadingSection.classList.add('fade-in');
+            loadingSection.setAttribute('aria-busy', 'true');
         }
+        this.hideMessage();
+        this.announce('Generating outfit combinations…');
     }
 
     hideLoading() {
@@ -226,195 +658,339 @@ class AIStyleMatcher {
         if (loadingSection) {
             loadingSection.classList.add('hidden');
             loadingSection.classList.remove('fade-in');
+            loadingSection.removeAttribute('aria-busy');
         }
     }
 
-    generateAICombinations(occasion, clothingType, colorPreference) {
-        const combinations = [];
-        const numCombinations = Math.min(Math.max(2, Math.floor(this.uploadedImages.length / 2)), 4);
-
-        for (let i = 0; i < numCombinations; i++) {
-            const combination = this.createCombination(i + 1, occasion, clothingType, colorPreference);
-            combinations.push(combination);
-        }
-
-        return combinations;
-    }
-
-    createCombination(index, occasion, clothingType, colorPreference) {
-        // Randomly select 2-4 images for each combination
-        const numItems = Math.min(Math.max(2, Math.floor(Math.random() * 3) + 2), this.uploadedImages.length);
-        const selectedImages = this.getRandomImages(numItems);
-        
-        // Generate realistic ratings and confidence
-        const rating = Math.floor(Math.random() * 2) + 4; // 4-5 stars
-        const confidence = Math.floor(Math.random() * 16) + 80; // 80-95%
-
-        // Generate analysis based on preferences
-        const colorAnalysis = this.generateColorAnalysis(colorPreference);
-        const styleNotes = this.generateStyleNotes(occasion, clothingType);
-
-        return {
-            id: index,
-            title: `Combination ${index}`,
-            rating: rating,
-            confidence: confidence,
-            images: selectedImages,
-            colorAnalysis: colorAnalysis,
-            styleNotes: styleNotes
-        };
-    }
-
-    getRandomImages(count) {
-        const shuffled = [...this.uploadedImages].sort(() => 0.5 - Math.random());
-        return shuffled.slice(0, count);
-    }
-
-    generateColorAnalysis(colorPreference) {
-        const analyses = {
-            'bright': [
-                'Vibrant colors create an energetic and confident look',
-                'Bold color choices make a strong fashion statement',
-                'Bright hues add personality and visual interest'
-            ],
-            'dark': [
-                'Deep tones create a sophisticated and elegant appearance',
-                'Dark colors provide a timeless and versatile foundation',
-                'Rich colors convey professionalism and refinement'
-            ],
-            'neutral': [
-                'Neutral tones offer versatility and timeless appeal',
-                'Subtle colors create a balanced and harmonious look',
-                'Earth tones provide a natural and calming aesthetic'
-            ],
-            'pastel': [
-                'Soft pastels create a gentle and romantic appearance',
-                'Light colors bring freshness and femininity to the outfit',
-                'Delicate hues offer a dreamy and ethereal quality'
-            ],
-            '': [
-                'Well-coordinated colors create visual harmony',
-                'Complementary tones enhance the overall aesthetic',
-                'Balanced color palette ensures a cohesive look'
-            ]
-        };
-
-        const options = analyses[colorPreference] || analyses[''];
-        return options[Math.floor(Math.random() * options.length)];
-    }
-
-    generateStyleNotes(occasion, clothingType) {
-        const notes = {
-            'casual': [
-                'Perfect for relaxed everyday activities and social gatherings',
-                'Comfortable yet stylish for weekend outings',
-                'Effortlessly chic for casual meetups and errands'
-            ],
-            'formal': [
-                'Sophisticated ensemble suitable for business meetings',
-                'Elegant combination perfect for formal events',
-                'Professional appearance that commands respect'
-            ],
-            'party': [
-                'Eye-catching outfit that stands out in social settings',
-                'Fun and festive look perfect for celebrations',
-                'Trendy combination that photographs beautifully'
-            ],
-            'business': [
-                'Professional attire that projects confidence and competence',
-                'Polished look suitable for corporate environments',
-                'Conservative yet stylish for workplace success'
-            ],
-            'sports': [
-                'Comfortable and functional for active pursuits',
-                'Athletic-inspired look that prioritizes movement',
-                'Practical combination for fitness and outdoor activities'
-            ],
-            'wedding': [
-                'Elegant and appropriate for special celebrations',
-                'Refined look that respects the formal occasion',
-                'Beautiful ensemble perfect for memorable moments'
-            ]
-        };
-
-        const typeNotes = {
-            'shirt': 'Classic shirt styling adds sophistication',
-            't-shirt': 'Casual t-shirt keeps the look relaxed and comfortable',
-            'pants': 'Well-fitted pants create a polished silhouette',
-            'jeans': 'Denim adds a casual, versatile element',
-            'dress': 'Dress creates an instantly put-together appearance',
-            'skirt': 'Skirt adds feminine flair and movement',
-            'jacket': 'Layering piece adds structure and refinement',
-            'sweater': 'Cozy sweater brings warmwarmth and texture'
-        };
-
-        let note = notes[occasion]?.[Math.floor(Math.random() * notes[occasion].length)] || 
-                   'Stylish combination perfect for your selected occasion';
-        
-        if (clothingType && typeNotes[clothingType]) {
-            note += '. ' + typeNotes[clothingType] + '.';
-        }
-
-        return note;
+    getRepeatDays() {
+        const value = parseInt(document.getElementById('repeatDays')?.value, 10);
+        return isNaN(value) ? PLANNER_DEFAULT_REPEAT_DAYS : Math.max(0, value);
     }
 
-    displayResults(combinations) {
+    displayResults(combinations, { readOnly = false, notice = '' } = {}) {
         const resultsSection = document.getElementById('resultsSection');
         const combinationsGrid = document.getElementById('combinationsGrid');
         
         if (!resultsSection || !combinationsGrid) return;
         
-        combinationsGrid.innerHTML = '';
+        combinationsGrid.replaceChildren();
+
+        const sharedNotice = document.getElementById('sharedNotice');
+        if (sharedNotice) {
+            sharedNotice.textContent = notice;
+            sharedNotice.classList.toggle('hidden', !notice);
+        }
+
+        if (combinations.length === 0 && !readOnly) {
+            const empty = document.createElement('p');
+            empty.className = 'combinations-empty';
+            const anchors = this.engine.getAnchorItems();
+            empty.textContent = anchors.length > 0
+                ? `No complete outfit can be built around ${anchors.map(describeItem).join(' and ')}. Check their categories, or clear the pins to search the whole wardrobe. Items worn recently or tagged for other occasions are left out.`
+                : 'No complete outfit found. Upload at least one top and one bottom, or a one-piece, and check the category of each item. Items worn recently or tagged for other occasions are left out.';
+            combinationsGrid.appendChild(empty);
+        }
 
         combinations.forEach(combination => {
-            const combinationCard = this.createCombinationCard(combination);
+            const combinationCard = this.createCombinationCard(combination, readOnly);
             combinationsGrid.appendChild(combinationCard);
         });
 
         resultsSection.classList.remove('hidden');
         resultsSection.classList.add('fade-in');
-        
-        // Scroll to results
+
+        if (!readOnly) {
+            this.announce(combinations.length > 0
+                ? `${combinations.length} outfit combination${combinations.length === 1 ? '' : 's'} found.`
+                : 'No complete outfit found.');
+        }
+
+        // Move focus to the results so keyboard and screen-reader users land on them
         setTimeout(() => {
-            resultsSection.scrollIntoView({ behavior: 'smooth' });
+            const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+            resultsSection.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth' });
+            document.getElementById('resultsTitle')?.focus({ preventScroll: true });
         }, 100);
     }
 
-    createCombinationCard(combination) {
-        const card = document.createElement('div');
-        card.className = 'combination-card';
-        
+    // Share link for a combination, with items referenced by image hash
+    async createShareUrl(combination) {
+        const hashes = await Promise.all(combination.images.map(img => this.engine.getImageHash(img)));
+        return buildShareUrl(await encodeShareState(combinationShareState(combination, hashes)));
+    }
+
+    async copyShareLink(combination, button) {
+        let url;
+        try {
+            url = await this.createShareUrl(combination);
+        } catch (error) {
+            console.error('Could not create share link:', error);
+            this.showMessage('Could not create a share link.');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            button.textContent = 'Link copied ✓';
+            this.announce('Share link copied.');
+        } catch (error) {
+            // Clipboard access can be denied; let the user copy it by hand
+            prompt('Copy this link to share the outfit:', url);
+        }
+    }
+
+    async downloadShareCard(combination) {
+        try {
+            const blob = await renderShareCard(combination);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${combination.title.toLowerCase().replace(/\s+/g, '-')}.png`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Could not render share card:', error);
+            this.showMessage('Could not create the outfit image.');
+        }
+    }
+
+    // Show the combination from a #outfit=... link, read-only, using items from this wardrobe
+    async openSharedOutfit() {
+        const encoded = readShareFragment(location.hash);
+        if (!encoded) return;
+
+        let state;
+        try {
+            state = await decodeShareState(encoded);
+        } catch (error) {
+            this.showMessage(error.message);
+            return;
+        }
+
+        const items = this.engine.items;
+        const hashes = await Promise.all(items.map(img => this.engine.getImageHash(img)));
+        const images = state.items.map(hash => items[hashes.findIndex(full => shareImageHash(full) === hash)]);
+        const missing = images.filter(img => !img).length;
+
+        if (missing > 0) {
+            this.displayResults([], {
+                readOnly: true,
+                notice: `This shared outfit uses ${missing} item${missing === 1 ? '' : 's'} that ${missing === 1 ? 'is' : 'are'} not in your wardrobe. Import the wardrobe export it was shared from to see it.`
+            });
+            return;
+        }
+
+        const outfit = { images, scores: { rating: state.rating, confidence: state.confidence } };
+        const combination = this.engine.createCombination(state.index, outfit, state.occasion, state.clothingType,
+            state.colorPreference, state.conditions);
+        this.displayResults([combination], { readOnly: true, notice: 'Shared outfit (read-only)' });
+    }
+
+    // Links come from anywhere; one that still breaks rendering gets a message, not an unhandled rejection
+    reportSharedOutfitError(error) {
+        console.error('Shared outfit could not be shown:', error);
+        this.showMessage('Could not open the shared outfit.');
+    }
+
+    createCombinationCard(combination, readOnly = false) {
         const stars = '★'.repeat(combination.rating) + '☆'.repeat(5 - combination.rating);
-        
-        const imagesHTML = combination.images.map(img => 
-            `<img src="${img.src}" alt="${img.name}" />`
-        ).join('');
-
-        card.innerHTML = `
-            <div class="combination-header">
-                <h3 class="combination-title">${combination.title}</h3>
-                <div class="combination-rating">
-                    <div class="stars">${stars}</div>
-                    <div class="confidence">${combination.confidence}%</div>
-                </div>
-            </div>
-            
-            <div class="combination-images">
-                ${imagesHTML}
-            </div>
-            
-            <div class="combination-analysis">
-                <div class="analysis-item color-harmony">
-                    <span class="analysis-label">Color Harmony</span>
-                    <div class="analysis-text">${combination.colorAnalysis}</div>
-                </div>
-                
-                <div class="analysis-item style-notes">
-                    <span class="analysis-label">Style Notes</span>
-                    <div class="analysis-text">${combination.styleNotes}</div>
-                </div>
-            </div>
-        `;
+
+        const images = combination.images.map(img =>
+            buildElement('img', { src: this.getImageUrls(img).src, alt: describeItemPhoto(img) })
+        );
+
+        // One swatch strip per item, segments sized by color weight
+        const palette = combination.images.map(img => buildElement('div', {
+            className: 'palette-strip',
+            role: 'img',
+            'aria-label': `Colors of the ${describeItem(img)}: ${describeItemPalette(img) || 'unknown'}`
+        },
+            (img.colors || []).map(color => buildElement('span', {
+                className: 'palette-swatch',
+                style: { backgroundColor: color.hex, flexGrow: color.weight },
+                title: `${color.hex} (${Math.round(color.weight * 100)}%)`
+            }))
+        ));
+
+        // One row per scoring factor; factors without data show no bar
+        const breakdown = (combination.breakdown || []).map(factor => {
+            const percent = factor.score === null ? null : Math.round(factor.score * 100);
+            return buildElement('li', { className: 'score-factor' },
+                buildElement('div', { className: 'score-factor__header' },
+                    buildElement('span', { className: 'score-factor__label' }, factor.label),
+                    buildElement('span', { className: 'score-factor__value' }, percent === null ? '–' : `${percent}%`)
+                ),
+                percent !== null && buildElement('div', { className: 'score-bar', 'aria-hidden': 'true' },
+                    buildElement('span', { className: 'score-bar__fill', style: { width: `${percent}%` } })
+                ),
+                buildElement('p', { className: 'score-factor__text' }, factor.explanation)
+            );
+        });
+
+        const analysisItem = (className, label, text) =>
+            buildElement('div', { className: `analysis-item ${className}` },
+                buildElement('span', { className: 'analysis-label' }, label),
+                buildElement('div', { className: 'analysis-text' }, text)
+            );
+        const companionNotes = combination.companionNotes || [];
+
+        const card = buildElement('div', { className: 'combination-card' },
+            buildElement('div', { className: 'combination-header' },
+                buildElement('h3', { className: 'combination-title' }, combination.title),
+                buildElement('div', { className: 'combination-rating' },
+                    buildElement('div', {
+                        className: 'stars', role: 'img', 'aria-label': `Rated ${combination.rating} out of 5`
+                    }, stars),
+                    buildElement('div', { className: 'confidence' },
+                        buildElement('span', { className: 'sr-only' }, 'Confidence '),
+                        `${combination.confidence}%`
+                    )
+                )
+            ),
+            buildElement('canvas', {
+                className: 'combination-preview',
+                role: 'img',
+                'aria-label': `Outfit preview on a mannequin: ${combination.images.map(describeItem).join(', ')}`
+            }),
+            buildElement('div', { className: 'combination-images' }, images),
+            buildElement('div', { className: 'combination-palette' }, palette),
+            buildElement('div', { className: 'combination-analysis' },
+                analysisItem('color-harmony', 'Color Harmony', combination.colorAnalysis),
+                analysisItem('pattern-balance', 'Pattern Balance', combination.patternAnalysis),
+                analysisItem('style-notes', 'Style Notes', combination.styleNotes),
+                companionNotes.length > 0 && buildElement('div', { className: 'analysis-item companion-notes' },
+                    buildElement('span', { className: 'analysis-label' }, 'Why These Pieces'),
+                    buildElement('ul', { className: 'analysis-text' },
+                        companionNotes.map(note => buildElement('li', {}, note)))
+                )
+            ),
+            breakdown.length > 0 && buildElement('details', { className: 'score-breakdown' },
+                buildElement('summary', {}, 'Score breakdown'),
+                buildElement('ul', { className: 'score-factors' }, breakdown)
+            )
+        );
+
+        if (!readOnly) {
+            // Like, dislike and "wore it" are toggles: pressing again takes the feedback back.
+            // "Never suggest" is a one-off action
+            const feedbackButton = (action, label, title = null, extraClass = '') => buildElement('button', {
+                type: 'button',
+                className: `feedback-btn${extraClass}`,
+                dataset: { action },
+                title,
+                'aria-label': title,
+                'aria-pressed': action === 'never' ? null : 'false'
+            }, label);
+
+            card.append(
+                buildElement('div', { className: 'combination-feedback', role: 'group', 'aria-label': 'Feedback' },
+                    feedbackButton('like', '👍', 'I like this'),
+                    feedbackButton('dislike', '👎', 'Not for me'),
+                    feedbackButton('wore', 'Wore it'),
+                    feedbackButton('never', 'Never suggest', null, ' feedback-btn--never')
+                ),
+                buildElement('div', { className: 'combination-plan' },
+                    buildElement('input', {
+                        type: 'date',
+                        className: 'form-control combination-plan__date',
+                        value: toDateKey(new Date()),
+                        'aria-label': 'Date to wear this outfit'
+                    }),
+                    buildElement('button', {
+                        type: 'button', className: 'btn btn--sm btn--secondary combination-plan__add'
+                    }, 'Add to calendar')
+                ),
+                buildElement('div', { className: 'combination-share' },
+                    buildElement('button', {
+                        type: 'button', className: 'btn btn--sm btn--outline combination-share__image'
+                    }, 'Download image'),
+                    buildElement('button', {
+                        type: 'button', className: 'btn btn--sm btn--outline combination-share__link'
+                    }, 'Copy share link')
+                )
+            );
+        }
+
+        // Compose the outfit on the mannequin once the cut-outs are decoded
+        const preview = card.querySelector('.combination-preview');
+        renderOutfitPreview(preview, combination.images).catch(error => {
+            console.warn('Outfit preview failed:', error);
+            preview.remove();
+        });
+
+        if (readOnly) return card;
+
+        card.querySelector('.combination-share__image').addEventListener('click', () => this.downloadShareCard(combination));
+        const linkBtn = card.querySelector('.combination-share__link');
+        linkBtn.addEventListener('click', () => this.copyShareLink(combination, linkBtn));
+
+        const planBtn = card.querySelector('.combination-plan__add');
+        planBtn.addEventListener('click', async () => {
+            const date = card.querySelector('.combination-plan__date').value;
+            if (!date) return;
+            try {
+                await this.engine.planOutfit(date, combination.images.map(img => img.id), combination.occasion);
+            } catch (error) {
+                console.error('Could not plan the outfit:', error);
+                this.showMessage('Could not add the outfit to your calendar. Please try again.');
+                return;
+            }
+            planBtn.textContent = 'Added ✓';
+            this.announce(`${combination.title} was added to your calendar.`);
+        });
+
+        // The event each pressed toggle recorded, so pressing it again takes exactly that event back
+        const recorded = new Map();
+        let saving = false;   // Clicks while the last one is still being saved are ignored
+        const setPressed = (action, pressed) => {
+            const btn = card.querySelector(`[data-action="${action}"]`);
+            btn.classList.toggle('feedback-btn--active', pressed);
+            if (btn.hasAttribute('aria-pressed')) btn.setAttribute('aria-pressed', String(pressed));
+        };
+
+        card.querySelectorAll('.feedback-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = button.dataset.action;
+                if (saving) return;
+                saving = true;
+                try {
+                    if (recorded.has(action)) {
+                        await this.engine.removeFeedback(recorded.get(action));
+                        recorded.delete(action);
+                        setPressed(action, false);
+                        return;
+                    }
+
+                    // Like and dislike are exclusive; "wore it" can be added on top
+                    const opposite = { like: 'dislike', dislike: 'like' }[action];
+                    if (opposite && recorded.has(opposite)) {
+                        await this.engine.removeFeedback(recorded.get(opposite));
+                        recorded.delete(opposite);
+                        setPressed(opposite, false);
+                    }
+
+                    const event = await this.engine.recordFeedback(combination.images, action);
+                    setPressed(action, true);
+                    if (action !== 'never') {
+                        recorded.set(action, event);
+                        return;
+                    }
+
+                    card.classList.add('combination-card--dismissed');
+                    card.querySelectorAll('.feedback-btn').forEach(btn => { btn.disabled = true; });
+                    // The pressed button is now disabled; keep focus inside the card
+                    card.querySelector('.combination-plan__date').focus();
+                    this.announce('This outfit will not be suggested again.');
+                } catch (error) {
+                    console.error('Could not save feedback:', error);
+                    this.showMessage('Could not save your feedback. Please try again.');
+                } finally {
+                    saving = false;
+                }
+            });
+        });
 
         return card;
     }
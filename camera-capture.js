@@ -0,0 +1,221 @@
+// Camera capture: live preview with a garment framing guide, shots cropped to the guide and a
+// burst mode for photographing several items in a row. Every shot goes through the same
+// pipeline as an uploaded file (app.processFiles). Without a camera, or when access is refused,
+// the file picker opens instead (with capture="environment", phones offer their camera app).
+
+import { buildElement } from './dom-builder.js';
+import { canvasToBlob } from './image-pipeline.js';
+
+const CAMERA_GUIDE = { width: 0.7, height: 0.85 };   // Framing guide, as a share of the preview (style.css)
+const CAMERA_BURST_SECONDS = 3;                      // Time to swap garments between burst shots
+const CAMERA_IDEAL_SIZE = 1920;
+const CAMERA_JPEG_QUALITY = 0.92;
+
+// The part of a video frame, in video pixels, that the framing guide covers when the video fills
+// a viewWidth x viewHeight preview with object-fit: cover. Guide and preview are both centered.
+export function guideCropRect(videoWidth, videoHeight, viewWidth, viewHeight, guide = CAMERA_GUIDE) {
+    const scale = Math.max(viewWidth / videoWidth, viewHeight / videoHeight);
+    const width = Math.min(videoWidth, (viewWidth / scale) * guide.width);
+    const height = Math.min(videoHeight, (viewHeight / scale) * guide.height);
+    return {
+        x: Math.round((videoWidth - width) / 2),
+        y: Math.round((videoHeight - height) / 2),
+        width: Math.round(width),
+        height: Math.round(height)
+    };
+}
+
+export class CameraCapture {
+    constructor(app) {
+        this.app = app;
+        this.stream = null;
+        this.burstTimer = null;
+        this.shots = [];                    // Object URLs of this session's shot thumbnails
+        this.processing = Promise.resolve(); // Shots join the wardrobe one after another
+    }
+
+    setup() {
+        const bind = (id, event, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener(event, handler);
+        };
+
+        bind('cameraBtn', 'click', () => this.open());
+        bind('cameraCaptureBtn', 'click', () => this.capture());
+        bind('cameraBurstBtn', 'click', () => {
+            if (this.burstTimer) {
+                this.stopBurst();
+            } else {
+                this.startBurst();
+            }
+        });
+        bind('cameraDoneBtn', 'click', () => document.getElementById('cameraDialog').close());
+        // Escape closes the dialog too
+        bind('cameraDialog', 'close', () => this.stop());
+        bind('cameraFallbackInput', 'change', (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            this.app.processFiles(files);
+        });
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('cameraStatus');
+        if (status) status.textContent = message;
+    }
+
+    openFilePicker() {
+        document.getElementById('cameraFallbackInput')?.click();
+    }
+
+    async open() {
+        const dialog = document.getElementById('cameraDialog');
+        if (!navigator.mediaDevices?.getUserMedia || !dialog || typeof dialog.showModal !== 'function') {
+            this.openFilePicker();
+            return;
+        }
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: {
+                    facingMode: 'environment',
+                    width: { ideal: CAMERA_IDEAL_SIZE },
+                    height: { ideal: CAMERA_IDEAL_SIZE }
+                },
+                audio: false
+            });
+        } catch (error) {
+            // No camera (NotFoundError), access refused (NotAllowedError) or the camera is busy
+            console.warn('Camera unavailable, opening the file picker instead:', error);
+            this.app.announce(error.name === 'NotAllowedError'
+                ? 'Camera access was not allowed. Choose photos instead.'
+                : 'No camera found. Choose photos instead.');
+            this.openFilePicker();
+            return;
+        }
+
+        const video = document.getElementById('cameraVideo');
+        video.srcObject = this.stream;
+        this.setStatus('Place one garment inside the frame, then capture.');
+        dialog.showModal();
+        document.getElementById('cameraCaptureBtn')?.focus();
+        try {
+            await video.play();
+        } catch (error) {
+            console.warn('Camera preview could not start:', error);
+        }
+    }
+
+    // Take one shot, cropped to the framing guide, and add it to the wardrobe
+    async capture() {
+        const video = document.getElementById('cameraVideo');
+        if (!this.stream || !video || !video.videoWidth) return;
+
+        if (this.app.engine.isFull()) {
+            this.stopBurst();
+            this.setStatus(`Your wardrobe is full (${this.app.engine.quota} items).`);
+            return;
+        }
+
+        const crop = guideCropRect(video.videoWidth, video.videoHeight,
+            video.clientWidth || video.videoWidth, video.clientHeight || video.videoHeight);
+        const canvas = document.createElement('canvas');
+        canvas.width = crop.width;
+        canvas.height = crop.height;
+        canvas.getContext('2d')
+            .drawImage(video, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+
+        const view = document.getElementById('cameraView');
+        if (view) {
+            view.classList.add('camera-view--flash');
+            setTimeout(() => view.classList.remove('camera-view--flash'), 150);
+        }
+
+        let blob;
+        try {
+            blob = await canvasToBlob(canvas, 'image/jpeg', CAMERA_JPEG_QUALITY);
+        } catch (error) {
+            console.warn('Camera shot could not be encoded:', error);
+            this.setStatus('That shot failed. Please try again.');
+            return;
+        }
+
+        const number = this.shots.length + 1;
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const file = new File([blob], `camera-${stamp}-${number}.jpg`, { type: 'image/jpeg' });
+        this.addShotThumbnail(blob, number);
+        this.setStatus(`Photo ${number} taken.`);
+
+        this.processing = this.processing
+            .then(() => this.app.processFiles([file]))
+            .catch(error => console.error('Camera shot could not be added:', error));
+    }
+
+    addShotThumbnail(blob, number) {
+        const url = URL.createObjectURL(blob);
+        this.shots.push(url);
+        document.getElementById('cameraShots')?.appendChild(
+            buildElement('img', { src: url, alt: `Photo ${number}`, className: 'camera-shots__item' })
+        );
+    }
+
+    // One shot every few seconds until stopped, leaving time to swap the garment in the frame
+    startBurst() {
+        const button = document.getElementById('cameraBurstBtn');
+        const countdown = document.getElementById('cameraCountdown');
+        let remaining = CAMERA_BURST_SECONDS;
+
+        const tick = () => {
+            if (countdown) {
+                countdown.textContent = remaining;
+                countdown.classList.remove('hidden');
+            }
+        };
+        tick();
+        this.burstTimer = setInterval(() => {
+            remaining--;
+            if (remaining === 0) {
+                remaining = CAMERA_BURST_SECONDS;
+                this.capture();
+            }
+            tick();
+        }, 1000);
+
+        if (button) {
+            button.textContent = 'Stop burst';
+            button.setAttribute('aria-pressed', 'true');
+        }
+        this.setStatus(`Burst mode: a photo every ${CAMERA_BURST_SECONDS} seconds. Swap the garment after each one.`);
+    }
+
+    stopBurst() {
+        if (!this.burstTimer) return;
+        clearInterval(this.burstTimer);
+        this.burstTimer = null;
+
+        document.getElementById('cameraCountdown')?.classList.add('hidden');
+        const button = document.getElementById('cameraBurstBtn');
+        if (button) {
+            button.textContent = 'Start burst';
+            button.setAttribute('aria-pressed', 'false');
+        }
+    }
+
+    // Release the camera when the dialog closes
+    stop() {
+        this.stopBurst();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        const video = document.getElementById('cameraVideo');
+        if (video) video.srcObject = null;
+
+        const taken = this.shots.length;
+        this.shots.forEach(url => URL.revokeObjectURL(url));
+        this.shots = [];
+        document.getElementById('cameraShots')?.replaceChildren();
+        if (taken > 0) this.app.announce(`${taken} photo${taken === 1 ? '' : 's'} taken.`);
+        document.getElementById('cameraBtn')?.focus();
+    }
+}
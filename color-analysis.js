@@ -0,0 +1,372 @@
+// Color analysis helpers for AI Style Matcher
+// Extracts a weighted palette from the RGBA pixels of a clothing photo.
+
+const PALETTE_SAMPLE_SIZE = 64;      // Longest edge the image is downscaled to before clustering
+const PALETTE_MAX_COLORS = 5;
+const PALETTE_MIN_WEIGHT = 0.03;     // Drop clusters covering less than 3% of the garment
+const PALETTE_MERGE_DISTANCE = 24;   // Merge clusters whose centers are closer than this (RGB)
+const BACKGROUND_TOLERANCE = 36;     // RGB distance from the border color treated as background
+const KMEANS_ITERATIONS = 10;
+
+// Average the source pixels each target pixel covers. pixels is an RGBA buffer
+// ({ data, width, height }, e.g. ImageData); colors are weighted by alpha so transparent
+// cut-out areas do not darken the garment's edges.
+export function resamplePixels(pixels, width, height) {
+    const source = pixels.data;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const top = Math.floor(y * pixels.height / height);
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * pixels.height / height));
+        for (let x = 0; x < width; x++) {
+            const left = Math.floor(x * pixels.width / width);
+            const right = Math.max(left + 1, Math.floor((x + 1) * pixels.width / width));
+            let r = 0, g = 0, b = 0, alpha = 0;
+            for (let sy = top; sy < bottom; sy++) {
+                for (let sx = left; sx < right; sx++) {
+                    const i = (sy * pixels.width + sx) * 4;
+                    const a = source[i + 3];
+                    r += source[i] * a;
+                    g += source[i + 1] * a;
+                    b += source[i + 2] * a;
+                    alpha += a;
+                }
+            }
+            const o = (y * width + x) * 4;
+            if (alpha > 0) {
+                data[o] = r / alpha;
+                data[o + 1] = g / alpha;
+                data[o + 2] = b / alpha;
+            }
+            data[o + 3] = alpha / ((bottom - top) * (right - left));
+        }
+    }
+
+    return { data, width, height };
+}
+
+// Downscale a pixel buffer so its longest edge is at most maxSize
+export function downscalePixels(pixels, maxSize = PALETTE_SAMPLE_SIZE) {
+    if (!pixels || !pixels.width || !pixels.height) return null;
+
+    const scale = Math.min(1, maxSize / Math.max(pixels.width, pixels.height));
+    if (scale === 1) return pixels;
+    const width = Math.max(1, Math.round(pixels.width * scale));
+    const height = Math.max(1, Math.round(pixels.height * scale));
+    return resamplePixels(pixels, width, height);
+}
+
+function colorDistance(a, b) {
+    const dr = a[0] - b[0];
+    const dg = a[1] - b[1];
+    const db = a[2] - b[2];
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+}
+
+// Find the dominant border color, or null when the border is too busy to be a backdrop
+function estimateBackgroundColor(data, width, height) {
+    const buckets = new Map();
+    let total = 0;
+
+    const visit = (x, y) => {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] < 128) return;
+        const key = (data[i] >> 4) << 8 | (data[i + 1] >> 4) << 4 | (data[i + 2] >> 4);
+        const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+        bucket.count++;
+        bucket.sum[0] += data[i];
+        bucket.sum[1] += data[i + 1];
+        bucket.sum[2] += data[i + 2];
+        buckets.set(key, bucket);
+        total++;
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x, 0);
+        visit(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        visit(0, y);
+        visit(width - 1, y);
+    }
+
+    let best = null;
+    buckets.forEach(bucket => {
+        if (!best || bucket.count > best.count) best = bucket;
+    });
+
+    if (!best || best.count < total * 0.4) return null;
+    return best.sum.map(v => v / best.count);
+}
+
+// Flood-fill from the image border to mark pixels belonging to the backdrop
+export function computeBackgroundMask(data, width, height) {
+    const mask = new Uint8Array(width * height);
+    const background = estimateBackgroundColor(data, width, height);
+
+    // Transparent pixels are always background
+    for (let p = 0; p < width * height; p++) {
+        if (data[p * 4 + 3] < 128) mask[p] = 1;
+    }
+    if (!background) return mask;
+
+    const isBackdrop = (p) => {
+        const i = p * 4;
+        return colorDistance([data[i], data[i + 1], data[i + 2]], background) <= BACKGROUND_TOLERANCE;
+    };
+
+    const stack = [];
+    const seen = new Uint8Array(width * height);
+    const push = (p) => {
+        if (!seen[p]) {
+            seen[p] = 1;
+            stack.push(p);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        push(x);
+        push((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        push(y * width);
+        push(y * width + width - 1);
+    }
+
+    while (stack.length > 0) {
+        const p = stack.pop();
+        if (!mask[p] && !isBackdrop(p)) continue;
+        mask[p] = 1;
+
+        const x = p % width;
+        const y = (p - x) / width;
+        if (x > 0) push(p - 1);
+        if (x < width - 1) push(p + 1);
+        if (y > 0) push(p - width);
+        if (y < height - 1) push(p + width);
+    }
+
+    return mask;
+}
+
+// Collect the RGB values of garment pixels, falling back to the whole frame for close-ups
+function getGarmentPixels(pixels) {
+    const image = downscalePixels(pixels);
+    if (!image) return [];
+
+    const { data, width, height } = image;
+    const mask = computeBackgroundMask(data, width, height);
+    const garment = [];
+    const opaque = [];
+
+    for (let p = 0; p < width * height; p++) {
+        const i = p * 4;
+        if (data[i + 3] < 128) continue;
+        const rgb = [data[i], data[i + 1], data[i + 2]];
+        opaque.push(rgb);
+        if (!mask[p]) garment.push(rgb);
+    }
+
+    return garment.length >= opaque.length * 0.1 ? garment : opaque;
+}
+
+// Deterministic k-means: farthest-point seeding so the same photo always yields the same palette
+function kMeansClusters(pixels, k) {
+    const mean = [0, 0, 0];
+    pixels.forEach(px => {
+        mean[0] += px[0];
+        mean[1] += px[1];
+        mean[2] += px[2];
+    });
+    mean.forEach((v, c) => { mean[c] = v / pixels.length; });
+
+    let first = pixels[0];
+    pixels.forEach(px => {
+        if (colorDistance(px, mean) < colorDistance(first, mean)) first = px;
+    });
+
+    const centers = [first.slice()];
+    const nearest = pixels.map(px => colorDistance(px, first));
+    while (centers.length < k) {
+        let farthest = 0;
+        nearest.forEach((d, i) => {
+            if (d > nearest[farthest]) farthest = i;
+        });
+        if (nearest[farthest] === 0) break;
+        const center = pixels[farthest].slice();
+        centers.push(center);
+        pixels.forEach((px, i) => {
+            nearest[i] = Math.min(nearest[i], colorDistance(px, center));
+        });
+    }
+
+    let assignments = new Array(pixels.length).fill(0);
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        let changed = false;
+        const sums = centers.map(() => [0, 0, 0, 0]);
+
+        pixels.forEach((px, i) => {
+            let best = 0;
+            for (let c = 1; c < centers.length; c++) {
+                if (colorDistance(px, centers[c]) < colorDistance(px, centers[best])) best = c;
+            }
+            if (assignments[i] !== best) changed = true;
+            assignments[i] = best;
+            sums[best][0] += px[0];
+            sums[best][1] += px[1];
+            sums[best][2] += px[2];
+            sums[best][3]++;
+        });
+
+        sums.forEach((sum, c) => {
+            if (sum[3] > 0) {
+                centers[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+            }
+        });
+
+        if (!changed && iteration > 0) break;
+    }
+
+    const counts = centers.map(() => 0);
+    assignments.forEach(c => { counts[c]++; });
+
+    return centers
+        .map((center, c) => ({ rgb: center, count: counts[c] }))
+        .filter(cluster => cluster.count > 0);
+}
+
+// Fold near-identical clusters together so shading does not split one fabric into many swatches
+function mergeSimilarClusters(clusters) {
+    const merged = [];
+    clusters
+        .sort((a, b) => b.count - a.count)
+        .forEach(cluster => {
+            const target = merged.find(m => colorDistance(m.rgb, cluster.rgb) < PALETTE_MERGE_DISTANCE);
+            if (target) {
+                const total = target.count + cluster.count;
+                target.rgb = target.rgb.map((v, c) => (v * target.count + cluster.rgb[c] * cluster.count) / total);
+                target.count = total;
+            } else {
+                merged.push({ rgb: cluster.rgb.slice(), count: cluster.count });
+            }
+        });
+    return merged;
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb
+        .map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+}
+
+export function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Returns [hue 0-360, saturation 0-1, lightness 0-1]
+export function rgbToHsl(rgb) {
+    const r = rgb[0] / 255;
+    const g = rgb[1] / 255;
+    const b = rgb[2] / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+
+    if (max === min) return [0, 0, l];
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) {
+        h = (g - b) / d + (g < b ? 6 : 0);
+    } else if (max === g) {
+        h = (b - r) / d + 2;
+    } else {
+        h = (r - g) / d + 4;
+    }
+    return [h * 60, s, l];
+}
+
+// Returns CIE L*a*b* (D65) for perceptual lightness and distance comparisons
+export function rgbToLab(rgb) {
+    const linear = rgb.map(v => {
+        const c = v / 255;
+        return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+    });
+
+    const x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+    const y = (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722) / 1.0;
+    const z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+
+    const f = t => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// Human-readable name for a color, used in analysis text
+export function describeColor(hex) {
+    const [h, s, l] = rgbToHsl(hexToRgb(hex));
+
+    if (l < 0.12) return 'black';
+    if (l > 0.92) return 'white';
+    if (s < 0.12) return l < 0.35 ? 'charcoal' : l > 0.7 ? 'light grey' : 'grey';
+
+    if (s < 0.35 && h >= 20 && h < 60) {
+        if (l > 0.65) return 'beige';
+        if (l > 0.4) return 'khaki';
+        return 'brown';
+    }
+
+    if (h < 15 || h >= 345) return l < 0.3 ? 'burgundy' : l > 0.75 ? 'pink' : 'red';
+    if (h < 40) {
+        if (l < 0.35) return 'brown';
+        return l > 0.7 ? 'peach' : s > 0.6 && l > 0.55 ? 'coral' : 'orange';
+    }
+    if (h < 65) return l < 0.35 ? 'olive' : l > 0.75 ? 'cream' : 'yellow';
+    if (h < 160) return l < 0.3 ? 'forest green' : s < 0.35 ? 'olive' : l > 0.75 ? 'mint' : 'green';
+    if (h < 195) return 'teal';
+    if (h < 250) return l < 0.3 ? 'navy' : l > 0.7 ? 'light blue' : 'blue';
+    if (h < 290) return l > 0.7 ? 'lavender' : 'purple';
+    return l > 0.7 ? 'pink' : 'magenta';
+}
+
+// Broad color families used to filter the wardrobe
+export const COLOR_FAMILIES = [
+    { value: 'neutral', label: 'Neutrals', names: ['black', 'white', 'charcoal', 'grey', 'light grey', 'beige', 'khaki', 'cream'] },
+    { value: 'brown', label: 'Browns', names: ['brown'] },
+    { value: 'red', label: 'Reds', names: ['red', 'burgundy'] },
+    { value: 'pink', label: 'Pinks', names: ['pink', 'magenta'] },
+    { value: 'orange', label: 'Oranges', names: ['orange', 'coral', 'peach'] },
+    { value: 'yellow', label: 'Yellows', names: ['yellow'] },
+    { value: 'green', label: 'Greens', names: ['green', 'forest green', 'olive', 'mint'] },
+    { value: 'blue', label: 'Blues', names: ['blue', 'navy', 'light blue', 'teal'] },
+    { value: 'purple', label: 'Purples', names: ['purple', 'lavender'] }
+];
+
+export function describeColorFamily(hex) {
+    const name = describeColor(hex);
+    const family = COLOR_FAMILIES.find(f => f.names.includes(name));
+    return family ? family.value : 'neutral';
+}
+
+// Extract the dominant garment colors from a photo's pixels, heaviest first
+export function extractDominantColors(pixels, maxColors = PALETTE_MAX_COLORS) {
+    const garment = getGarmentPixels(pixels);
+    if (garment.length === 0) return [];
+
+    const clusters = mergeSimilarClusters(kMeansClusters(garment, maxColors));
+    const total = clusters.reduce((sum, cluster) => sum + cluster.count, 0);
+
+    return clusters
+        .map(cluster => ({
+            hex: rgbToHex(cluster.rgb),
+            weight: Math.round(cluster.count / total * 1000) / 1000
+        }))
+        .filter(color => color.weight >= PALETTE_MIN_WEIGHT)
+        .slice(0, maxColors);
+}
\ No newline at end of file
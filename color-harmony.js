@@ -0,0 +1,190 @@
+// Rule-based color harmony scoring for outfit combinations
+// Works on the palettes produced by color-analysis.js (HSL for hue relations, LAB for contrast).
+
+import { hexToRgb, rgbToHsl, rgbToLab } from './color-analysis.js';
+
+const HARMONY_COLORS_PER_ITEM = 3;
+
+// Base score for each relationship between two colors
+const HARMONY_SCHEME_SCORES = {
+    'neutral-base': 0.9,
+    'analogous': 0.85,
+    'monochrome': 0.8,
+    'complementary': 0.8,
+    'triadic': 0.7,
+    'clash': 0.35
+};
+
+// Share of the final score taken by the user's color preference, when one is selected
+const HARMONY_PREFERENCE_WEIGHT = 0.3;
+
+// Describe a palette color in the terms the harmony rules need
+export function analyzePaletteColor(color) {
+    const rgb = hexToRgb(color.hex);
+    const [hue, saturation, lightness] = rgbToHsl(rgb);
+    const lab = rgbToLab(rgb);
+
+    // Greys, near-black/white and deep navy act as neutrals in clothing
+    const isNavy = hue >= 200 && hue < 250 && lab[0] < 30;
+    const neutral = saturation < 0.15 || lightness < 0.12 || lightness > 0.92 || isNavy ||
+        (saturation < 0.35 && hue >= 20 && hue < 60);
+
+    return { hex: color.hex, weight: color.weight, hue, saturation, lightness, lab, neutral };
+}
+
+function hueDistance(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+// Classify how two colors relate on the color wheel
+export function classifyColorPair(a, b) {
+    if (a.neutral || b.neutral) return 'neutral-base';
+
+    const d = hueDistance(a.hue, b.hue);
+    if (d < 15) return 'monochrome';
+    if (d <= 45) return 'analogous';
+    if (d >= 100 && d <= 140) return 'triadic';
+    if (d >= 155) return 'complementary';
+    return 'clash';
+}
+
+// Some lightness contrast between pieces reads well; none looks flat, too much looks harsh
+function contrastFactor(a, b) {
+    const deltaL = Math.abs(a.lab[0] - b.lab[0]);
+    if (deltaL < 8) return 0.85;
+    if (deltaL <= 55) return 1;
+    return 0.9;
+}
+
+export function scoreColorPair(a, b) {
+    const scheme = classifyColorPair(a, b);
+    let score = HARMONY_SCHEME_SCORES[scheme] * contrastFactor(a, b);
+
+    // Two saturated complements at the same lightness vibrate against each other
+    if (scheme === 'complementary' && a.saturation > 0.6 && b.saturation > 0.6 &&
+        Math.abs(a.lab[0] - b.lab[0]) < 15) {
+        score *= 0.8;
+    }
+
+    return { scheme, score: Math.min(1, score) };
+}
+
+// Weighted harmony between the palettes of two items
+function scoreItemPair(paletteA, paletteB) {
+    let total = 0;
+    let weightSum = 0;
+    const schemeWeights = {};
+
+    paletteA.forEach(a => {
+        paletteB.forEach(b => {
+            const weight = a.weight * b.weight;
+            const { scheme, score } = scoreColorPair(a, b);
+            total += score * weight;
+            weightSum += weight;
+            schemeWeights[scheme] = (schemeWeights[scheme] || 0) + weight;
+        });
+    });
+
+    return { score: weightSum > 0 ? total / weightSum : 0, schemeWeights };
+}
+
+// How well a palette color matches the bright/dark/neutral/pastel selection
+export function matchesColorPreference(color, colorPreference) {
+    switch (colorPreference) {
+        case 'bright':
+            return !color.neutral && color.saturation > 0.55 && color.lightness > 0.3 && color.lightness < 0.75;
+        case 'dark':
+            return color.lab[0] < 35;
+        case 'neutral':
+            return color.neutral;
+        case 'pastel':
+            return color.lightness > 0.7 && color.saturation > 0.2 && color.lightness <= 0.95;
+        default:
+            return true;
+    }
+}
+
+function scoreColorPreference(palettes, colorPreference) {
+    let matched = 0;
+    let total = 0;
+    palettes.forEach(palette => palette.forEach(color => {
+        total += color.weight;
+        if (matchesColorPreference(color, colorPreference)) matched += color.weight;
+    }));
+    return total > 0 ? matched / total : 0;
+}
+
+// Score a set of items for color harmony and derive rating/confidence from it
+export function scoreColorHarmony(images, colorPreference = '') {
+    const palettes = images
+        .filter(img => img.colors && img.colors.length > 0)
+        .map(img => img.colors.slice(0, HARMONY_COLORS_PER_ITEM).map(analyzePaletteColor));
+
+    const coverage = images.length > 0 ? palettes.length / images.length : 0;
+    const pairScores = [];
+    const schemeWeights = {};
+
+    for (let i = 0; i < palettes.length; i++) {
+        for (let j = i + 1; j < palettes.length; j++) {
+            const pair = scoreItemPair(palettes[i], palettes[j]);
+            pairScores.push(pair.score);
+            Object.keys(pair.schemeWeights).forEach(scheme => {
+                schemeWeights[scheme] = (schemeWeights[scheme] || 0) + pair.schemeWeights[scheme];
+            });
+        }
+    }
+
+    // A single analyzed item has nothing to clash with, but tells us little
+    const harmony = pairScores.length > 0
+        ? pairScores.reduce((sum, s) => sum + s, 0) / pairScores.length
+        : 0.6;
+
+    const scheme = Object.keys(schemeWeights)
+        .sort((a, b) => schemeWeights[b] - schemeWeights[a])[0] || null;
+
+    const preferenceFit = colorPreference ? scoreColorPreference(palettes, colorPreference) : 1;
+    const score = colorPreference
+        ? harmony * (1 - HARMONY_PREFERENCE_WEIGHT) + preferenceFit * HARMONY_PREFERENCE_WEIGHT
+        : harmony;
+
+    // Confidence drops when items lack color data or the pairs disagree with each other
+    const mean = harmony;
+    const spread = pairScores.length > 1
+        ? Math.sqrt(pairScores.reduce((sum, s) => sum + (s - mean) * (s - mean), 0) / pairScores.length)
+        : 0;
+    const evidence = pairScores.length > 0 ? 1 : 0.5;
+    const confidence = Math.round(50 + 45 * coverage * evidence * Math.max(0, 1 - spread * 2));
+
+    return {
+        score,
+        harmony,
+        preferenceFit,
+        scheme,
+        rating: Math.min(5, Math.max(1, Math.round(1 + score * 4))),
+        confidence
+    };
+}
+
+// Turn a harmony result into the "Color Harmony" text shown on a combination card
+export function describeColorHarmony(result, colorPreference) {
+    const schemeText = {
+        'neutral-base': 'A neutral base lets the accent colors stand out without competing',
+        'analogous': 'Neighbouring hues create a smooth, cohesive palette',
+        'monochrome': 'Tonal dressing in one color family looks refined and deliberate',
+        'complementary': 'Opposite hues create a bold, balanced contrast',
+        'triadic': 'Evenly spaced hues give a playful but balanced mix',
+        'clash': 'These hues compete with each other; consider swapping one piece for a neutral'
+    };
+
+    const sentences = [schemeText[result.scheme] || 'Not enough color information to judge the palette'];
+
+    if (colorPreference) {
+        const percent = Math.round(result.preferenceFit * 100);
+        sentences.push(result.preferenceFit >= 0.5
+            ? `${percent}% of the palette matches your ${colorPreference} preference`
+            : `Only ${percent}% of the palette matches your ${colorPreference} preference`);
+    }
+
+    return sentences.join('. ') + '.';
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+// Safe DOM building for cards, previews and forms
+//
+// Everything the page renders goes through buildElement instead of innerHTML: text becomes text
+// nodes, attributes are set with setAttribute and inline styles through the CSSOM. File names,
+// tags and occasion labels are never parsed as markup, and no style attribute or <style> block
+// is ever injected, so the page runs under a Content-Security-Policy without 'unsafe-inline'.
+
+// Properties set on the element itself rather than as attributes, so form state is live
+const ELEMENT_PROPERTIES = new Set(['value', 'checked', 'selected', 'disabled', 'hidden']);
+
+function appendChildren(element, children) {
+    children.forEach(child => {
+        if (child === null || child === undefined || child === false || child === '') return;
+        if (Array.isArray(child)) {
+            appendChildren(element, child);
+        } else if (child instanceof Node) {
+            element.appendChild(child);
+        } else {
+            element.appendChild(document.createTextNode(String(child)));
+        }
+    });
+}
+
+// buildElement('button', { className: 'btn', type: 'button', dataset: { id: 3 },
+//     style: { width: '40%' }, on: { click: handler } }, 'Label', otherNode, [more, nodes])
+// Attributes with null, undefined or false are left out; true sets an empty attribute.
+export function buildElement(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+
+    Object.entries(props).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        if (name === 'className') {
+            element.className = value;
+        } else if (name === 'dataset') {
+            Object.entries(value).forEach(([key, data]) => { element.dataset[key] = String(data); });
+        } else if (name === 'style') {
+            Object.entries(value).forEach(([property, style]) => { element.style[property] = style; });
+        } else if (name === 'on') {
+            Object.entries(value).forEach(([type, handler]) => element.addEventListener(type, handler));
+        } else if (ELEMENT_PROPERTIES.has(name)) {
+            element[name] = value;
+        } else {
+            element.setAttribute(name, value === true ? '' : String(value));
+        }
+    });
+
+    appendChildren(element, children);
+    return element;
+}
+
+// Replaces everything inside container
+export function replaceContent(container, ...children) {
+    container.replaceChildren();
+    appendChildren(container, children);
+}
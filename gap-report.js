@@ -0,0 +1,146 @@
+// "What's missing?" section: renders the gap analysis of wardrobe-gaps.js
+
+import { analyzePaletteColor } from './color-harmony.js';
+import { buildElement, replaceContent } from './dom-builder.js';
+import { PALETTE_BIAS_LABELS } from './occasion-editor.js';
+import { CATEGORY_NOUNS, describeItemPhoto } from './outfit-explanation.js';
+import { describeGapSuggestion } from './wardrobe-gaps.js';
+
+export class GapReport {
+    constructor(app) {
+        this.app = app;
+        this.controller = null;
+    }
+
+    setup() {
+        const analyzeBtn = document.getElementById('gapAnalyzeBtn');
+        if (analyzeBtn) {
+            analyzeBtn.addEventListener('click', () => this.analyze());
+        }
+        const cancelBtn = document.getElementById('gapCancelBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancel());
+        }
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('gapStatus');
+        if (status) status.textContent = message;
+    }
+
+    async analyze() {
+        if (this.controller) return;
+        const items = this.app.engine.items.filter(item => !this.app.engine.excludedIds.has(item.id));
+        if (items.length === 0) {
+            this.app.showMessage('Please upload at least one clothing item.');
+            return;
+        }
+
+        const analyzeBtn = document.getElementById('gapAnalyzeBtn');
+        const cancelBtn = document.getElementById('gapCancelBtn');
+        const controller = new AbortController();
+        this.controller = controller;
+        if (analyzeBtn) analyzeBtn.disabled = true;
+        if (cancelBtn) cancelBtn.classList.remove('hidden');
+        this.setStatus('Analyzing your wardrobe…');
+        try {
+            const report = await this.app.engine.analyzeGaps({
+                signal: controller.signal,
+                onProgress: share => this.setStatus(`Trying possible additions… ${Math.round(share * 100)}%`)
+            });
+            this.render(report);
+            this.setStatus(`Based on ${items.length} item${items.length === 1 ? '' : 's'}. Run it again after changing your wardrobe.`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.setStatus('Analysis cancelled.');
+                return;
+            }
+            console.error('Gap analysis failed:', error);
+            this.setStatus('');
+            this.app.showMessage('Could not analyze the wardrobe. Please try again.');
+        } finally {
+            this.controller = null;
+            if (analyzeBtn) analyzeBtn.disabled = false;
+            if (cancelBtn) {
+                // Keep the focus on the toolbar when the pressed Cancel disappears
+                if (document.activeElement === cancelBtn && analyzeBtn) analyzeBtn.focus();
+                cancelBtn.classList.add('hidden');
+            }
+        }
+    }
+
+    cancel() {
+        if (this.controller) this.controller.abort();
+    }
+
+    render(report) {
+        const container = document.getElementById('gapReport');
+        if (!container) return;
+
+        const categoryNames = categories => categories.map(category => CATEGORY_NOUNS[category] || category).join(', ');
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        const occasions = report.occasions.map(occasion => {
+            const notes = [];
+            if (occasion.missing.length > 0) notes.push(`Missing ${categoryNames(occasion.missing)} at this level of dress`);
+            if (occasion.palette && occasion.palette.items === 0) {
+                notes.push(`No ${PALETTE_BIAS_LABELS[occasion.palette.bias].toLowerCase()} for its palette`);
+            }
+            const className = `gap-occasion${occasion.outfits === 0 ? ' gap-occasion--empty' : ''}`;
+            return buildElement('li', { className },
+                buildElement('span', { className: 'gap-occasion__label' }, occasion.label),
+                buildElement('span', { className: 'gap-occasion__count' }, plural(occasion.outfits, 'outfit')),
+                notes.length > 0 && buildElement('span', { className: 'gap-occasion__notes' }, `${notes.join('. ')}.`)
+            );
+        });
+
+        const orphans = report.orphans.map(orphan => {
+            const item = this.app.engine.getItem(orphan.itemId);
+            if (!item) return null;
+            return buildElement('li', { className: 'gap-orphan' },
+                buildElement('img', { src: this.app.getThumbnailUrl(item), alt: describeItemPhoto(item) }),
+                buildElement('span', { className: 'gap-orphan__name' }, item.name),
+                buildElement('span', { className: 'gap-orphan__count' },
+                    orphan.outfits === 0 ? 'In no good outfit' : 'In only 1 good outfit')
+            );
+        }).filter(Boolean);
+
+        // Placeholder swatch: the suggested color with the garment's name on it
+        const suggestions = report.suggestions.map(suggestion => {
+            const color = analyzePaletteColor(suggestion.item.colors[0]);
+            const occasionLabels = suggestion.occasions
+                .map(id => this.app.engine.getOccasionRule(id))
+                .filter(Boolean)
+                .map(rule => rule.label.toLowerCase());
+            return buildElement('li', { className: 'gap-suggestion' },
+                buildElement('span', {
+                    className: `gap-swatch${color.lightness > 0.6 ? ' gap-swatch--light' : ''}`,
+                    style: { backgroundColor: color.hex },
+                    'aria-hidden': 'true'
+                }, CATEGORY_NOUNS[suggestion.item.category]),
+                buildElement('span', { className: 'gap-suggestion__text' },
+                    describeGapSuggestion(suggestion), ' ',
+                    buildElement('span', { className: 'gap-suggestion__occasions' }, `for ${occasionLabels.join(', ')}`)
+                )
+            );
+        });
+
+        const block = (title, list, emptyMessage) => buildElement('div', { className: 'gap-block' },
+            buildElement('h3', {}, title),
+            list.length > 0
+                ? buildElement('ul', { className: 'gap-list' }, list)
+                : buildElement('p', { className: 'gap-empty' }, emptyMessage)
+        );
+
+        replaceContent(container,
+            buildElement('p', { className: 'gap-summary' },
+                `Your wardrobe makes ${plural(report.outfits, 'good outfit')}.`),
+            buildElement('div', { className: 'gap-columns' },
+                block('Occasions', occasions, ''),
+                block('Worth adding', suggestions, 'No single addition would unlock new outfits.'),
+                block('Hard to wear', orphans, 'Every item is part of several good outfits.')
+            )
+        );
+        container.classList.remove('hidden');
+    }
+}
@@ -0,0 +1,149 @@
+// Garment category tagging for uploaded clothing photos
+// A lightweight on-device heuristic: filename keywords first, then the silhouette in the photo's pixels.
+
+import { computeBackgroundMask, downscalePixels } from './color-analysis.js';
+
+const SILHOUETTE_SAMPLE_SIZE = 64;
+
+export const GARMENT_CATEGORIES = [
+    { value: 'top', label: 'Top' },
+    { value: 'bottom', label: 'Bottom' },
+    { value: 'one-piece', label: 'One-piece' },
+    { value: 'outerwear', label: 'Outerwear' },
+    { value: 'footwear', label: 'Footwear' }
+];
+
+// Checked in order, so "shirt-dress" is a one-piece and "denim jacket" is outerwear
+export const GARMENT_KEYWORDS = [
+    ['footwear', ['shoe', 'sneaker', 'boot', 'heel', 'sandal', 'loafer', 'trainer', 'slipper', 'pump']],
+    ['one-piece', ['dress', 'jumpsuit', 'romper', 'gown', 'overall', 'playsuit']],
+    ['outerwear', ['jacket', 'coat', 'blazer', 'cardigan', 'parka', 'anorak', 'windbreaker', 'gilet']],
+    ['bottom', ['jean', 'pant', 'trouser', 'chino', 'short', 'skirt', 'legging', 'jogger', 'slacks']],
+    ['top', ['shirt', 'tee', 'blouse', 'top', 'polo', 'sweater', 'jumper', 'hoodie', 'tank', 'sweatshirt', 'camisole']]
+];
+
+export function classifyGarmentByName(name) {
+    const lower = (name || '').toLowerCase();
+    for (const [category, keywords] of GARMENT_KEYWORDS) {
+        const pattern = new RegExp('(^|[^a-z])(' + keywords.join('|') + ')');
+        if (pattern.test(lower)) return category;
+    }
+    return null;
+}
+
+// Measure the garment outline using the same backdrop mask as the color extraction
+function measureSilhouette(pixels) {
+    const image = downscalePixels(pixels, SILHOUETTE_SAMPLE_SIZE);
+    if (!image) return null;
+
+    const { data, width, height } = image;
+    const mask = computeBackgroundMask(data, width, height);
+
+    let minX = width, maxX = -1, minY = height, maxY = -1, filled = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x]) continue;
+            filled++;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+
+    // No usable backdrop: the garment fills the frame, only the photo shape is known
+    if (maxX < 0 || filled > width * height * 0.92) {
+        return { aspect: height / width, segmented: false };
+    }
+
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const rowWidth = (y) => {
+        let count = 0;
+        for (let x = minX; x <= maxX; x++) {
+            if (!mask[y * width + x]) count++;
+        }
+        return count;
+    };
+    const bandWidth = (from, to) => {
+        let sum = 0;
+        for (let y = from; y <= to; y++) sum += rowWidth(y);
+        return sum / (to - from + 1) / boxWidth;
+    };
+
+    const band = Math.max(1, Math.floor(boxHeight * 0.2));
+    const topWidth = bandWidth(minY, minY + band - 1);
+    const bottomWidth = bandWidth(maxY - band + 1, maxY);
+
+    // Trousers: background shows between the legs in the lower part of the outline
+    const centerX = Math.round((minX + maxX) / 2);
+    const legStart = maxY - Math.floor(boxHeight * 0.35);
+    let legRows = 0, gapRows = 0;
+    for (let y = legStart; y <= maxY; y++) {
+        legRows++;
+        const centerIsBackdrop = mask[y * width + centerX];
+        let leftFilled = false, rightFilled = false;
+        for (let x = minX; x < centerX; x++) {
+            if (!mask[y * width + x]) leftFilled = true;
+        }
+        for (let x = centerX + 1; x <= maxX; x++) {
+            if (!mask[y * width + x]) rightFilled = true;
+        }
+        if (centerIsBackdrop && leftFilled && rightFilled) gapRows++;
+    }
+
+    return {
+        aspect: boxHeight / boxWidth,
+        topWidth,
+        bottomWidth,
+        legGap: legRows > 0 ? gapRows / legRows : 0,
+        segmented: true
+    };
+}
+
+function classifyGarmentBySilhouette(silhouette) {
+    if (!silhouette) return 'top';
+
+    const { aspect } = silhouette;
+    if (aspect < 0.75) return 'footwear';
+    if (!silhouette.segmented) return aspect > 1.7 ? 'one-piece' : 'top';
+
+    if (silhouette.legGap > 0.6) return 'bottom';
+    if (aspect > 1.7) return 'one-piece';
+    if (silhouette.topWidth < silhouette.bottomWidth * 0.8 && aspect < 1.4) return 'bottom';
+    return 'top';
+}
+
+// Guess the category of an uploaded garment; the user can override it in the preview
+export function classifyGarment(pixels, name) {
+    const byName = classifyGarmentByName(name);
+    if (byName) return { category: byName, source: 'name' };
+
+    return { category: classifyGarmentBySilhouette(measureSilhouette(pixels)), source: 'silhouette' };
+}
+
+// Whether two items compete for the same place in an outfit: the same category, or a one-piece
+// and a top or bottom
+export function sharesOutfitSlot(a, b) {
+    if (a.category === b.category) return true;
+    const base = ['top', 'bottom'];
+    return (a.category === 'one-piece' && base.includes(b.category)) ||
+        (b.category === 'one-piece' && base.includes(a.category));
+}
+
+// An outfit is one top + one bottom or a single one-piece, plus at most one outerwear and one footwear
+export function isValidOutfit(items) {
+    const counts = {};
+    items.forEach(item => {
+        counts[item.category] = (counts[item.category] || 0) + 1;
+    });
+
+    const top = counts['top'] || 0;
+    const bottom = counts['bottom'] || 0;
+    const onePiece = counts['one-piece'] || 0;
+
+    const hasBase = (top === 1 && bottom === 1 && onePiece === 0) ||
+        (onePiece === 1 && top === 0 && bottom === 0);
+
+    return hasBase && (counts['outerwear'] || 0) <= 1 && (counts['footwear'] || 0) <= 1;
+}
\ No newline at end of file
@@ -0,0 +1,221 @@
+// Image preprocessing pipeline, run on every photo before it joins the wardrobe:
+// EXIF orientation -> downscale to a working size -> background cut-out -> thumbnail.
+
+import { computeBackgroundMask } from './color-analysis.js';
+
+const PIPELINE_WORKING_SIZE = 1024;   // Longest edge of the stored image
+const PIPELINE_SEGMENT_SIZE = 256;    // Resolution the background mask is computed at
+const PIPELINE_THUMBNAIL_SIZE = 240;
+const PIPELINE_CROP_PADDING = 0.04;   // Margin kept around the garment, as a share of the image
+
+// Create a canvas that works both on the page and inside a worker
+function createAnalysisCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Draw an image or canvas downscaled and return its RGBA pixel buffer for the analysis modules
+export function readImagePixels(imageElement, maxSize) {
+    const sourceWidth = imageElement.naturalWidth || imageElement.width;
+    const sourceHeight = imageElement.naturalHeight || imageElement.height;
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    const canvas = createAnalysisCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(imageElement, 0, 0, width, height);
+
+    return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+// Read the EXIF orientation (1-8) of a JPEG, or 1 when there is none. Every read is bounds-checked:
+// a truncated or corrupt EXIF block only loses the orientation, the photo itself may decode fine.
+async function readExifOrientation(blob) {
+    if (blob.type && blob.type !== 'image/jpeg') return 1;
+
+    const view = new DataView(await blob.slice(0, 128 * 1024).arrayBuffer());
+    const fits = (position, bytes) => position >= 0 && position + bytes <= view.byteLength;
+    if (!fits(0, 4) || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (fits(offset, 4)) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+
+        // APP1 segment starting with "Exif\0\0"
+        if (marker === 0xFFE1 && fits(offset + 4, 4) && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            if (!fits(tiff, 8)) return 1;
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            if (!fits(ifd, 2)) return 1;
+            const entries = view.getUint16(ifd, little);
+
+            for (let i = 0; i < entries; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (!fits(entry, 10)) break;
+                if (view.getUint16(entry, little) === 0x0112) {
+                    const orientation = view.getUint16(entry + 8, little);
+                    return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                }
+            }
+            return 1;
+        }
+
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        offset += 2 + length;
+    }
+    return 1;
+}
+
+// Modern browsers already apply EXIF rotation when decoding; older ones need it done by hand
+function browserAppliesExifOrientation() {
+    return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+}
+
+// Draw a decoded image upright and downscaled onto a new canvas
+function drawOriented(image, orientation, maxSize) {
+    const sourceWidth = image.naturalWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.height;
+    const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    const swap = orientation >= 5;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = swap ? height : width;
+    canvas.height = swap ? width : height;
+    const ctx = canvas.getContext('2d');
+
+    // Standard EXIF orientation transforms
+    const transforms = {
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, height, 0],
+        7: [0, -1, -1, 0, height, width],
+        8: [0, -1, 1, 0, 0, width]
+    };
+    if (transforms[orientation]) ctx.setTransform(...transforms[orientation]);
+    ctx.drawImage(image, 0, 0, width, height);
+
+    return canvas;
+}
+
+// Find the garment with the border flood-fill from color-analysis.js and cut it out.
+// Returns null when no plain backdrop is found, so the photo is kept as is.
+function cutOutGarment(canvas) {
+    const { data, width, height } = readImagePixels(canvas, PIPELINE_SEGMENT_SIZE);
+    const mask = computeBackgroundMask(data, width, height);
+
+    let minX = width, maxX = -1, minY = height, maxY = -1, garment = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[y * width + x]) continue;
+            garment++;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+
+    // Nothing removed, or almost everything removed: segmentation is not trustworthy
+    if (garment === 0 || garment > width * height * 0.95 || garment < width * height * 0.03) return null;
+
+    // Low-resolution alpha mask, softened and scaled up to the working image
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = width;
+    maskCanvas.height = height;
+    const maskCtx = maskCanvas.getContext('2d');
+    const alpha = maskCtx.createImageData(width, height);
+    for (let p = 0; p < width * height; p++) {
+        alpha.data[p * 4 + 3] = mask[p] ? 0 : 255;
+    }
+    maskCtx.putImageData(alpha, 0, 0);
+
+    const cutout = document.createElement('canvas');
+    cutout.width = canvas.width;
+    cutout.height = canvas.height;
+    const ctx = cutout.getContext('2d');
+    ctx.drawImage(canvas, 0, 0);
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.filter = 'blur(1px)';
+    ctx.drawImage(maskCanvas, 0, 0, cutout.width, cutout.height);
+    ctx.filter = 'none';
+    ctx.globalCompositeOperation = 'source-over';
+
+    // Crop to the garment plus a small margin
+    const scaleX = canvas.width / width;
+    const scaleY = canvas.height / height;
+    const pad = Math.round(Math.max(canvas.width, canvas.height) * PIPELINE_CROP_PADDING);
+    const left = Math.max(0, Math.floor(minX * scaleX) - pad);
+    const top = Math.max(0, Math.floor(minY * scaleY) - pad);
+    const right = Math.min(canvas.width, Math.ceil((maxX + 1) * scaleX) + pad);
+    const bottom = Math.min(canvas.height, Math.ceil((maxY + 1) * scaleY) + pad);
+
+    const cropped = document.createElement('canvas');
+    cropped.width = right - left;
+    cropped.height = bottom - top;
+    cropped.getContext('2d').drawImage(cutout, left, top, cropped.width, cropped.height, 0, 0, cropped.width, cropped.height);
+    return cropped;
+}
+
+export function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Could not encode image'));
+            }
+        }, type, quality);
+    });
+}
+
+// Downscale an image into a thumbnail blob for fast previews (PNG keeps the cut-out transparent)
+function createThumbnail(source, maxSize = PIPELINE_THUMBNAIL_SIZE) {
+    return canvasToBlob(drawOriented(source, 1, maxSize), 'image/png');
+}
+
+export function decodeImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not decode image'));
+        };
+        img.src = url;
+    });
+}
+
+// Run the full pipeline on an uploaded file.
+// Resolves with { image, thumbnail, width, height, segmented } where image/thumbnail are blobs.
+export async function preprocessImage(file) {
+    const [decoded, orientation] = await Promise.all([decodeImage(file), readExifOrientation(file)]);
+
+    const upright = drawOriented(decoded, browserAppliesExifOrientation() ? 1 : orientation, PIPELINE_WORKING_SIZE);
+    const cutout = cutOutGarment(upright);
+    const result = cutout || upright;
+
+    const [image, thumbnail] = await Promise.all([
+        cutout ? canvasToBlob(result, 'image/png') : canvasToBlob(result, 'image/jpeg', 0.9),
+        createThumbnail(result)
+    ]);
+
+    return { image, thumbnail, width: result.width, height: result.height, segmented: Boolean(cutout) };
+}
\ No newline at end of file
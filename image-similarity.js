@@ -0,0 +1,102 @@
+// Duplicate and same-garment detection with a perceptual hash
+//
+// The dHash of an image is 64 bits: the image is shrunk to 9x8 grey pixels and each bit records
+// whether a pixel is brighter than its right neighbour. Re-encoded or resized copies of a photo
+// keep almost every bit; a new photo of the same garment, cut out by the pipeline, keeps most.
+// dHash only sees brightness and is dominated by the garment's outline (a solid and a striped
+// shirt can hash the same), so the pattern and the whole palette have to match as well.
+
+import { hexToRgb, resamplePixels, rgbToLab } from './color-analysis.js';
+
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+const DUPLICATE_HASH_DISTANCE = 3;     // Differing bits still counted as the same photo
+const SIMILAR_HASH_DISTANCE = 12;      // Differing bits still counted as the same garment
+const DUPLICATE_COLOR_DISTANCE = 10;   // Lab distance between palettes for the same photo
+const SIMILAR_COLOR_DISTANCE = 20;     // Lab distance between palettes for the same garment
+
+// 16 hex digits from a photo's RGBA pixels; transparent (cut-out) areas count as white
+export function computePerceptualHash(pixels) {
+    const { data } = resamplePixels(pixels, DHASH_WIDTH, DHASH_HEIGHT);
+
+    const grey = [];
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        grey.push(luminance * alpha + 255 * (1 - alpha));
+    }
+
+    let hash = '';
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        let nibble = 0;
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            const i = y * DHASH_WIDTH + x;
+            nibble = (nibble << 1) | (grey[i] > grey[i + 1] ? 1 : 0);
+            if (x % 4 === 3) {
+                hash += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hash;
+}
+
+function hashDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+// How far each color of palette a is, on average by weight, from the closest color of palette b
+function paletteCoverage(a, b) {
+    const labsB = b.map(color => rgbToLab(hexToRgb(color.hex)));
+    let total = 0;
+    let weights = 0;
+    a.forEach(color => {
+        const lab = rgbToLab(hexToRgb(color.hex));
+        total += color.weight * Math.min(...labsB.map(other =>
+            Math.hypot(lab[0] - other[0], lab[1] - other[1], lab[2] - other[2])));
+        weights += color.weight;
+    });
+    return weights > 0 ? total / weights : 0;
+}
+
+// Lab distance between two items' palettes, or null when either has none. Both directions count,
+// so a navy shirt and a navy-and-red striped one are far apart.
+function paletteDistance(a, b) {
+    if (!a.colors || !a.colors.length || !b.colors || !b.colors.length) return null;
+    return Math.max(paletteCoverage(a.colors, b.colors), paletteCoverage(b.colors, a.colors));
+}
+
+// 'duplicate' (the same photo), 'similar' (the same garment photographed again) or null.
+// a and b are items with perceptualHash, colors and pattern.
+function compareGarmentPhotos(a, b) {
+    if (!a.perceptualHash || !b.perceptualHash || a.perceptualHash.length !== b.perceptualHash.length) return null;
+    if (a.pattern && b.pattern && a.pattern !== b.pattern) return null;
+
+    const distance = hashDistance(a.perceptualHash, b.perceptualHash);
+    const color = paletteDistance(a, b);
+    const colorWithin = limit => color === null || color <= limit;
+
+    if (distance <= DUPLICATE_HASH_DISTANCE && colorWithin(DUPLICATE_COLOR_DISTANCE)) return 'duplicate';
+    if (distance <= SIMILAR_HASH_DISTANCE && colorWithin(SIMILAR_COLOR_DISTANCE)) return 'similar';
+    return null;
+}
+
+// The closest matching item: { item, match, distance } or null
+export function findMatchingGarment(candidate, items) {
+    let best = null;
+    items.forEach(item => {
+        const match = compareGarmentPhotos(candidate, item);
+        if (!match) return;
+        const distance = hashDistance(candidate.perceptualHash, item.perceptualHash);
+        if (!best || distance < best.distance) best = { item, match, distance };
+    });
+    return best;
+}
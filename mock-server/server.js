@@ -0,0 +1,152 @@
+// Local mock of the recommendation backend, for exercising HttpRecommendationEngine offline.
+//
+//   node mock-server/server.js
+//
+// Environment:
+//   PORT             Port to listen on (default 8787)
+//   MOCK_DELAY_MS    Delay every response, e.g. to trigger the client timeout
+//   MOCK_FAIL_FIRST  Answer the first N requests with 503, e.g. to exercise retries
+//
+// POST /recommend with the JSON body built by HttpRecommendationEngine.buildPayload() and
+// receive { combinations: [{ itemIds, score, rating, confidence, colorAnalysis, styleNotes }] }.
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DELAY_MS = Number(process.env.MOCK_DELAY_MS) || 0;
+const FAIL_FIRST = Number(process.env.MOCK_FAIL_FIRST) || 0;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Returns an error message, or null when the payload matches the contract
+function validatePayload(payload) {
+    if (!payload || typeof payload !== 'object') return 'Body must be a JSON object';
+    if (typeof payload.occasion !== 'string' || !payload.occasion) return '"occasion" is required';
+    if (!Array.isArray(payload.items)) return '"items" must be an array';
+    for (const item of payload.items) {
+        if (item.id === undefined || item.id === null) return 'Every item needs an "id"';
+        if (typeof item.category !== 'string') return `Item ${item.id} needs a "category"`;
+    }
+    return null;
+}
+
+// Deterministic stand-in for the real model: every top/bottom pair and every one-piece,
+// with the first pair of shoes (and the anchored outerwear, if any), ranked by enumeration order.
+// Of the occasion rule only the allowed categories are honoured; the app checks the rest.
+function recommend(payload) {
+    const anchorIds = payload.anchorIds || [];
+    const allowed = payload.occasionRule ? payload.occasionRule.allowedCategories : null;
+    const byCategory = category => {
+        if (allowed && !allowed.includes(category)) return [];
+        const items = payload.items.filter(item => item.category === category);
+        const anchored = items.filter(item => anchorIds.includes(item.id));
+        return anchored.length > 0 ? anchored : items;
+    };
+    const extras = [byCategory('footwear')[0], byCategory('outerwear').find(item => anchorIds.includes(item.id))]
+        .filter(Boolean);
+    const outfits = [];
+
+    byCategory('top').forEach(top => {
+        byCategory('bottom').forEach(bottom => outfits.push([top, bottom]));
+    });
+    byCategory('one-piece').forEach(onePiece => outfits.push([onePiece]));
+
+    return outfits
+        .map(outfit => [...outfit, ...extras])
+        .filter(items => anchorIds.every(id => items.some(item => item.id === id)))
+        .map((items, i) => {
+            const score = Math.max(0.4, 0.9 - i * 0.05);
+            return {
+                itemIds: items.map(item => item.id),
+                score,
+                rating: Math.round(1 + score * 4),
+                confidence: 70,
+                colorAnalysis: 'Scored by the mock recommendation server.',
+                styleNotes: `Mock suggestion for a ${payload.occasion} occasion.`
+            };
+        })
+        .slice(0, payload.limit || 6);
+}
+
+// Options default to the environment; tests pass their own per server
+function createMockServer({ delayMs = DELAY_MS, failFirst = FAIL_FIRST } = {}) {
+    let failuresLeft = failFirst;
+
+    return http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'POST' || req.url !== '/recommend') {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await readBody(req));
+        } catch (error) {
+            sendJson(res, error.status || 400, { error: error.status ? error.message : 'Invalid JSON' });
+            return;
+        }
+
+        if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            sendJson(res, 503, { error: 'Mock failure' });
+            return;
+        }
+
+        const error = validatePayload(payload);
+        if (error) {
+            sendJson(res, 400, { error });
+            return;
+        }
+
+        sendJson(res, 200, { combinations: recommend(payload) });
+    });
+}
+
+const server = createMockServer();
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock recommendation server listening on http://localhost:${PORT}/recommend`);
+    });
+}
+
+module.exports = { server, createMockServer, validatePayload, recommend };
\ No newline at end of file
@@ -0,0 +1,239 @@
+// Occasions section: list of occasion rules and an inline form to add or edit them
+
+import { buildElement } from './dom-builder.js';
+import { GARMENT_CATEGORIES } from './garment-classifier.js';
+import {
+    ALL_CATEGORIES, DEFAULT_OCCASION_RULES, PALETTE_BIASES, findOccasionRule, validateOccasionRule
+} from './occasion-rules.js';
+import { FORMALITY_LEVELS } from './outfit-factors.js';
+
+export const PALETTE_BIAS_LABELS = {
+    '': 'No bias',
+    bright: 'Bright colors',
+    dark: 'Dark colors',
+    neutral: 'Neutral colors',
+    pastel: 'Pastel colors'
+};
+
+// "Beach Day" -> "beach-day"
+function occasionIdFromLabel(label) {
+    return label.toLowerCase().replace(/[^a-z]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30);
+}
+
+export class OccasionEditor {
+    constructor(app) {
+        this.app = app;
+        this.editingId = null; // Rule id being edited, '' for a new rule, null when the form is closed
+    }
+
+    setup() {
+        const newBtn = document.getElementById('newOccasionBtn');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => this.openForm(''));
+        }
+        this.render();
+    }
+
+    // Show the form for a rule ('' for a new one) and move focus into it
+    openForm(id) {
+        this.editingId = id;
+        this.render();
+        document.querySelector('#occasionList .occasion-editor [name="label"]')?.focus();
+    }
+
+    // Close the form and return focus to the Edit button it was opened from
+    closeForm(id) {
+        this.editingId = null;
+        this.render();
+        this.focusRule(id);
+    }
+
+    // Focus a rule's Edit button, or the New occasion button when the rule is gone
+    focusRule(id) {
+        const editBtn = [...document.querySelectorAll('#occasionList [data-rule-id]')]
+            .find(button => button.dataset.ruleId === id);
+        (editBtn || document.getElementById('newOccasionBtn'))?.focus();
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('occasionStatus');
+        if (status) status.textContent = message;
+    }
+
+    render() {
+        const list = document.getElementById('occasionList');
+        if (!list) return;
+        list.replaceChildren();
+
+        this.app.engine.occasionRules.forEach(rule => {
+            list.appendChild(this.editingId === rule.id ? this.renderForm(rule) : this.renderRule(rule));
+        });
+        if (this.editingId === '') {
+            list.appendChild(this.renderForm(null));
+        }
+    }
+
+    renderRule(rule) {
+        const custom = this.app.engine.customOccasionRules.some(entry => entry.id === rule.id);
+        const builtIn = DEFAULT_OCCASION_RULES.some(entry => entry.id === rule.id);
+        const formality = rule.formality[0] === rule.formality[1]
+            ? FORMALITY_LEVELS[rule.formality[0] - 1].label
+            : `${FORMALITY_LEVELS[rule.formality[0] - 1].label} – ${FORMALITY_LEVELS[rule.formality[1] - 1].label}`;
+        const details = [
+            formality,
+            rule.requiredCategories.length > 0 ? `needs ${rule.requiredCategories.join(', ')}` : '',
+            rule.allowedCategories.length < ALL_CATEGORIES.length
+                ? `no ${ALL_CATEGORIES.filter(category => !rule.allowedCategories.includes(category)).join(', ')}` : '',
+            rule.paletteBias ? PALETTE_BIAS_LABELS[rule.paletteBias].toLowerCase() : '',
+            rule.bannedCombos.length > 0 ? `${rule.bannedCombos.length} banned ${rule.bannedCombos.length === 1 ? 'combo' : 'combos'}` : ''
+        ].filter(Boolean).join(' · ');
+
+        const editBtn = buildElement('button', {
+            type: 'button',
+            className: 'btn btn--sm btn--outline',
+            dataset: { ruleId: rule.id },
+            'aria-label': `Edit ${rule.label}`,
+            on: { click: () => this.openForm(rule.id) }
+        }, 'Edit');
+        const removeBtn = custom && buildElement('button', {
+            type: 'button',
+            className: 'btn btn--sm btn--secondary',
+            'aria-label': `${builtIn ? 'Reset' : 'Delete'} ${rule.label}`,
+            on: {
+                click: async () => {
+                    const message = builtIn
+                        ? `Reset "${rule.label}" to its built-in rule?`
+                        : `Delete the "${rule.label}" occasion? Items tagged with it keep the tag.`;
+                    if (!confirm(message)) return;
+                    await this.app.engine.removeOccasionRule(rule.id);
+                    this.setStatus(builtIn ? `"${rule.label}" was reset.` : `"${rule.label}" was deleted.`);
+                    this.focusRule(rule.id);
+                }
+            }
+        }, builtIn ? 'Reset' : 'Delete');
+
+        const row = buildElement('div', { className: 'occasion-rule' },
+            buildElement('div', { className: 'occasion-rule__info' },
+                buildElement('span', { className: 'occasion-rule__label' }, rule.label),
+                custom && builtIn && buildElement('span', { className: 'occasion-rule__badge' }, 'Edited'),
+                !builtIn && buildElement('span', { className: 'occasion-rule__badge' }, 'Custom'),
+                buildElement('span', { className: 'occasion-rule__details' }, details)
+            ),
+            buildElement('div', { className: 'occasion-rule__actions' }, editBtn, removeBtn)
+        );
+        return row;
+    }
+
+    // rule is null for a new occasion
+    renderForm(rule) {
+        const values = rule || {
+            id: '', label: '', formality: [1, 5], allowedCategories: ALL_CATEGORIES, requiredCategories: [],
+            paletteBias: '', bannedCombos: [], styleNotes: []
+        };
+
+        const levelOptions = selected => FORMALITY_LEVELS.map(level =>
+            buildElement('option', { value: level.value, selected: level.value === selected }, level.label)
+        );
+        const checkboxes = (name, selected) => GARMENT_CATEGORIES.map(category =>
+            buildElement('label', { className: 'item-editor__check' },
+                buildElement('input', {
+                    type: 'checkbox', name, value: category.value, checked: selected.includes(category.value)
+                }),
+                ` ${category.label}`
+            )
+        );
+        const biasOptions = PALETTE_BIASES.map(bias =>
+            buildElement('option', { value: bias, selected: bias === values.paletteBias }, PALETTE_BIAS_LABELS[bias])
+        );
+        // Labels point at their controls by id, unique per rule
+        const field = (label, control, wide = false) => {
+            control.id = `occasion-${values.id || 'new'}-${control.name}`;
+            return buildElement('div', { className: `form-group${wide ? ' occasion-editor__wide' : ''}` },
+                buildElement('label', { className: 'form-label', for: control.id }, label),
+                control
+            );
+        };
+        const group = (legend, controls) => buildElement('fieldset', { className: 'item-editor__group' },
+            buildElement('legend', { className: 'form-label' }, legend),
+            controls
+        );
+
+        const form = buildElement('form', {
+            className: 'item-editor occasion-editor',
+            'aria-label': rule ? `Edit ${rule.label}` : 'New occasion'
+        },
+            field('Name', buildElement('input', {
+                type: 'text', name: 'label', className: 'form-control', value: values.label,
+                placeholder: 'e.g. Interview', required: true
+            })),
+            field('Formality from', buildElement('select', { name: 'formalityMin', className: 'form-control' },
+                levelOptions(values.formality[0]))),
+            field('Formality to', buildElement('select', { name: 'formalityMax', className: 'form-control' },
+                levelOptions(values.formality[1]))),
+            field('Palette bias', buildElement('select', { name: 'paletteBias', className: 'form-control' },
+                biasOptions)),
+            group('Allowed categories', checkboxes('allowedCategories', values.allowedCategories)),
+            group('Required categories', checkboxes('requiredCategories', values.requiredCategories)),
+            field('Style notes (one per line)', buildElement('textarea', {
+                name: 'styleNotes', className: 'form-control', rows: 3, value: values.styleNotes.join('\n')
+            }), true),
+            field('Banned combos (JSON)', buildElement('textarea', {
+                name: 'bannedCombos', className: 'form-control occasion-editor__json', rows: 3,
+                placeholder: '[[{ "pattern": "stripes" }, { "pattern": "checks" }]]',
+                value: values.bannedCombos.length > 0 ? JSON.stringify(values.bannedCombos) : ''
+            }), true),
+            buildElement('div', { className: 'item-editor__actions' },
+                buildElement('button', { type: 'submit', className: 'btn btn--sm btn--primary' }, 'Save'),
+                buildElement('button', {
+                    type: 'button', className: 'btn btn--sm btn--secondary item-editor__cancel'
+                }, 'Cancel')
+            )
+        );
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = new FormData(form);
+            const label = data.get('label').trim();
+
+            let bannedCombos = [];
+            const bannedText = data.get('bannedCombos').trim();
+            if (bannedText) {
+                try {
+                    bannedCombos = JSON.parse(bannedText);
+                } catch (error) {
+                    this.app.showMessage(`Banned combos are not valid JSON: ${error.message}`);
+                    return;
+                }
+            }
+
+            const updated = {
+                id: rule ? rule.id : occasionIdFromLabel(label),
+                label,
+                formality: [Number(data.get('formalityMin')), Number(data.get('formalityMax'))],
+                allowedCategories: data.getAll('allowedCategories'),
+                requiredCategories: data.getAll('requiredCategories'),
+                paletteBias: data.get('paletteBias'),
+                bannedCombos,
+                styleNotes: data.get('styleNotes').split('\n').map(note => note.trim()).filter(Boolean)
+            };
+
+            if (!rule && findOccasionRule(this.app.engine.occasionRules, updated.id)) {
+                this.app.showMessage(`There is already an occasion called "${label}".`);
+                return;
+            }
+            const error = validateOccasionRule(updated);
+            if (error) {
+                this.app.showMessage(`This occasion cannot be saved: ${error}`);
+                return;
+            }
+
+            await this.app.engine.saveOccasionRule(updated);
+            this.closeForm(updated.id);
+            this.setStatus(`"${updated.label}" was saved.`);
+        });
+
+        form.querySelector('.item-editor__cancel').addEventListener('click', () => this.closeForm(values.id));
+
+        return form;
+    }
+}
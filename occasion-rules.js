@@ -0,0 +1,216 @@
+// Occasion rule sets
+//
+// Each occasion is described by a JSON rule the generator consumes:
+// {
+//   id: 'interview',                 // Lowercase slug, also stored in item.occasions tags
+//   label: 'Interview',
+//   formality: [3, 5],               // Allowed range of FORMALITY_LEVELS
+//   allowedCategories: ['top', ...], // Items of other categories are left out
+//   requiredCategories: ['footwear'],// Every outfit must include each of these
+//   paletteBias: 'neutral',          // '', 'bright', 'dark', 'neutral' or 'pastel'; used when no color preference is chosen
+//   bannedCombos: [[{ pattern: 'stripes' }, { pattern: 'checks' }]],
+//                                    // Outfits where every selector matches an item are never suggested;
+//                                    // selectors may use category, pattern, color, colorFamily (known values)
+//                                    // and nameIncludes (any text)
+//   styleNotes: ['...']              // Rotated through on the combination cards
+// }
+
+import { COLOR_FAMILIES, describeColor, describeColorFamily } from './color-analysis.js';
+import { GARMENT_CATEGORIES } from './garment-classifier.js';
+import { FORMALITY_LEVELS } from './outfit-factors.js';
+import { PATTERN_LABELS } from './pattern-detection.js';
+
+export const PALETTE_BIASES = ['', 'bright', 'dark', 'neutral', 'pastel'];
+export const ALL_CATEGORIES = GARMENT_CATEGORIES.map(category => category.value);
+
+// Values each selector key accepts; null means any non-empty string
+const OCCASION_SELECTOR_VALUES = {
+    category: ALL_CATEGORIES,
+    pattern: Object.keys(PATTERN_LABELS),
+    color: COLOR_FAMILIES.flatMap(family => family.names),
+    colorFamily: COLOR_FAMILIES.map(family => family.value),
+    nameIncludes: null
+};
+const OCCASION_SELECTOR_KEYS = Object.keys(OCCASION_SELECTOR_VALUES);
+
+export const DEFAULT_OCCASION_RULES = [
+    {
+        id: 'casual',
+        label: 'Casual',
+        formality: [1, 3],
+        allowedCategories: ALL_CATEGORIES,
+        requiredCategories: [],
+        paletteBias: '',
+        bannedCombos: [],
+        styleNotes: [
+            'Perfect for relaxed everyday activities and social gatherings',
+            'Comfortable yet stylish for weekend outings',
+            'Effortlessly chic for casual meetups and errands'
+        ]
+    },
+    {
+        id: 'formal',
+        label: 'Formal',
+        formality: [4, 5],
+        allowedCategories: ALL_CATEGORIES,
+        requiredCategories: ['footwear'],
+        paletteBias: 'dark',
+        bannedCombos: [[{ pattern: 'graphic' }], [{ pattern: 'stripes' }, { pattern: 'checks' }]],
+        styleNotes: [
+            'Sophisticated ensemble suitable for business meetings',
+            'Elegant combination perfect for formal events',
+            'Professional appearance that commands respect'
+        ]
+    },
+    {
+        id: 'party',
+        label: 'Party',
+        formality: [2, 4],
+        allowedCategories: ALL_CATEGORIES,
+        requiredCategories: [],
+        paletteBias: 'bright',
+        bannedCombos: [],
+        styleNotes: [
+            'Eye-catching outfit that stands out in social settings',
+            'Fun and festive look perfect for celebrations',
+            'Trendy combination that photographs beautifully'
+        ]
+    },
+    {
+        id: 'business',
+        label: 'Business',
+        formality: [3, 5],
+        allowedCategories: ALL_CATEGORIES,
+        requiredCategories: ['footwear'],
+        paletteBias: 'neutral',
+        bannedCombos: [[{ pattern: 'graphic' }]],
+        styleNotes: [
+            'Professional attire that projects confidence and competence',
+            'Polished look suitable for corporate environments',
+            'Conservative yet stylish for workplace success'
+        ]
+    },
+    {
+        id: 'sports',
+        label: 'Sports',
+        formality: [1, 2],
+        allowedCategories: ['top', 'bottom', 'outerwear', 'footwear'],
+        requiredCategories: ['footwear'],
+        paletteBias: '',
+        bannedCombos: [],
+        styleNotes: [
+            'Comfortable and functional for active pursuits',
+            'Athletic-inspired look that prioritizes movement',
+            'Practical combination for fitness and outdoor activities'
+        ]
+    },
+    {
+        id: 'wedding',
+        label: 'Wedding',
+        formality: [4, 5],
+        allowedCategories: ALL_CATEGORIES,
+        requiredCategories: ['footwear'],
+        paletteBias: 'pastel',
+        // White is left to the couple
+        bannedCombos: [[{ category: 'one-piece', color: 'white' }], [{ category: 'one-piece', color: 'cream' }]],
+        styleNotes: [
+            'Elegant and appropriate for special celebrations',
+            'Refined look that respects the formal occasion',
+            'Beautiful ensemble perfect for memorable moments'
+        ]
+    }
+];
+
+// Returns an error message, or null when the rule matches the schema
+export function validateOccasionRule(rule) {
+    if (!rule || typeof rule !== 'object') return 'Occasion rule must be an object';
+    if (typeof rule.id !== 'string' || !/^[a-z][a-z-]{0,29}$/.test(rule.id)) {
+        return '"id" must be a lowercase slug such as "interview"';
+    }
+    if (typeof rule.label !== 'string' || !rule.label.trim()) return '"label" is required';
+
+    const levels = FORMALITY_LEVELS.map(level => level.value);
+    if (!Array.isArray(rule.formality) || rule.formality.length !== 2 ||
+        !rule.formality.every(level => levels.includes(level)) || rule.formality[0] > rule.formality[1]) {
+        return '"formality" must be [min, max] between 1 and 5';
+    }
+
+    for (const field of ['allowedCategories', 'requiredCategories']) {
+        if (!Array.isArray(rule[field]) || !rule[field].every(category => ALL_CATEGORIES.includes(category))) {
+            return `"${field}" must list categories from: ${ALL_CATEGORIES.join(', ')}`;
+        }
+    }
+    if (rule.allowedCategories.length === 0) return '"allowedCategories" cannot be empty';
+    const notAllowed = rule.requiredCategories.find(category => !rule.allowedCategories.includes(category));
+    if (notAllowed) return `Required category "${notAllowed}" is not allowed`;
+
+    if (!PALETTE_BIASES.includes(rule.paletteBias)) {
+        return `"paletteBias" must be one of: ${PALETTE_BIASES.filter(Boolean).join(', ')} or empty`;
+    }
+
+    if (!Array.isArray(rule.bannedCombos)) return '"bannedCombos" must be an array';
+    for (const combo of rule.bannedCombos) {
+        if (!Array.isArray(combo) || combo.length === 0) return 'Every banned combo must be a non-empty array of selectors';
+        for (const selector of combo) {
+            if (!selector || typeof selector !== 'object' || Object.keys(selector).length === 0) {
+                return 'Banned combo selectors must be objects';
+            }
+            const unknown = Object.keys(selector).find(key => !OCCASION_SELECTOR_KEYS.includes(key));
+            if (unknown) return `Unknown selector key "${unknown}"; use ${OCCASION_SELECTOR_KEYS.join(', ')}`;
+            for (const [key, value] of Object.entries(selector)) {
+                const allowed = OCCASION_SELECTOR_VALUES[key];
+                if (typeof value !== 'string' || !value.trim()) return `Selector "${key}" must be a non-empty string`;
+                if (allowed && !allowed.includes(value)) return `Selector "${key}" must be one of: ${allowed.join(', ')}`;
+            }
+        }
+    }
+
+    if (!Array.isArray(rule.styleNotes) || !rule.styleNotes.every(note => typeof note === 'string')) {
+        return '"styleNotes" must be an array of strings';
+    }
+    return null;
+}
+
+// Built-in rules with the user's custom and edited rules laid over them by id
+export function mergeOccasionRules(customRules = []) {
+    const merged = DEFAULT_OCCASION_RULES.map(rule => customRules.find(custom => custom.id === rule.id) || rule);
+    customRules
+        .filter(custom => !DEFAULT_OCCASION_RULES.some(rule => rule.id === custom.id))
+        .forEach(custom => merged.push(custom));
+    return merged;
+}
+
+export function findOccasionRule(rules, id) {
+    return rules.find(rule => rule.id === id) || null;
+}
+
+function matchesOccasionSelector(item, selector) {
+    if (selector.category && item.category !== selector.category) return false;
+    if (selector.pattern && item.pattern !== selector.pattern) return false;
+    const main = item.colors && item.colors.length > 0 ? item.colors[0].hex : null;
+    if (selector.color && (!main || describeColor(main) !== selector.color)) return false;
+    if (selector.colorFamily && (!main || describeColorFamily(main) !== selector.colorFamily)) return false;
+    if (selector.nameIncludes && !(item.name || '').toLowerCase().includes(selector.nameIncludes.toLowerCase())) return false;
+    return true;
+}
+
+export function isItemAllowedByRule(item, rule) {
+    return !rule || rule.allowedCategories.includes(item.category);
+}
+
+// The first banned combo the outfit contains, or null
+function findBannedCombo(items, rule) {
+    if (!rule) return null;
+    return rule.bannedCombos.find(combo => combo.every(selector =>
+        items.some(item => matchesOccasionSelector(item, selector)))) || null;
+}
+
+function hasRequiredCategories(items, rule) {
+    return !rule || rule.requiredCategories.every(category => items.some(item => item.category === category));
+}
+
+// Outfit-level rule check, used by the generator and on outfits from remote engines.
+// Category filtering happens before generation, since anchored items may bypass it.
+export function breaksOccasionRule(items, rule) {
+    return !hasRequiredCategories(items, rule) || findBannedCombo(items, rule) !== null;
+}
@@ -0,0 +1,261 @@
+// Outfit calendar: week and month planner views, and planning a whole week at once
+
+import { buildElement, replaceContent } from './dom-builder.js';
+import { describeItemPhoto } from './outfit-explanation.js';
+import { PLANNER_WEEKDAYS, addDays, fromDateKey, startOfWeek, toDateKey } from './outfit-planner.js';
+
+// Default occasion per weekday in the "plan this week" form; empty leaves the day alone
+const PLANNER_DEFAULT_OCCASIONS = { 1: 'formal', 2: 'formal', 3: 'formal', 4: 'formal', 5: 'casual', 6: '', 0: '' };
+
+export class OutfitCalendar {
+    constructor(app) {
+        this.app = app;
+        this.view = 'week';
+        this.cursor = new Date();
+    }
+
+    setup() {
+        this.renderPlanDays();
+
+        const bind = (id, event, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener(event, handler);
+        };
+
+        bind('plannerPrev', 'click', () => this.shift(-1));
+        bind('plannerNext', 'click', () => this.shift(1));
+        bind('plannerToday', 'click', () => {
+            this.cursor = new Date();
+            this.render();
+        });
+        bind('plannerView', 'change', (e) => {
+            this.view = e.target.value;
+            this.render();
+        });
+        bind('planWeekForm', 'submit', (e) => {
+            e.preventDefault();
+            this.planWeek();
+        });
+    }
+
+    // One occasion select per weekday; rebuilt when occasions change, keeping the picked ones
+    renderPlanDays() {
+        const planDays = document.getElementById('planDays');
+        if (!planDays) return;
+
+        const occasions = this.app.wardrobePanel.getOccasions();
+        const picked = {};
+        planDays.querySelectorAll('[data-weekday]').forEach(select => { picked[select.dataset.weekday] = select.value; });
+
+        replaceContent(planDays, PLANNER_WEEKDAYS.map(weekday => {
+            const selected = picked[weekday.value] ?? PLANNER_DEFAULT_OCCASIONS[weekday.value];
+            const options = occasions.map(occasion =>
+                buildElement('option', { value: occasion.value, selected: occasion.value === selected }, occasion.label)
+            );
+
+            return buildElement('label', { className: 'plan-day' },
+                buildElement('span', { className: 'plan-day__name' }, weekday.label),
+                buildElement('select', { className: 'form-control', dataset: { weekday: weekday.value } },
+                    buildElement('option', { value: '' }, "Don't plan"),
+                    options
+                )
+            );
+        }));
+    }
+
+    shift(direction) {
+        if (this.view === 'month') {
+            this.cursor = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + direction, 1);
+        } else {
+            this.cursor = addDays(this.cursor, 7 * direction);
+        }
+        this.render();
+    }
+
+    // Days shown in the current view; the month view is padded to whole weeks
+    getVisibleDays() {
+        if (this.view === 'week') {
+            const start = startOfWeek(this.cursor);
+            return PLANNER_WEEKDAYS.map((weekday, i) => addDays(start, i));
+        }
+
+        const first = new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1);
+        const last = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + 1, 0);
+        const days = [];
+        for (let day = startOfWeek(first); day <= last || days.length % 7 !== 0; day = addDays(day, 1)) {
+            days.push(day);
+        }
+        return days;
+    }
+
+    getPeriodLabel() {
+        if (this.view === 'month') {
+            return this.cursor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        }
+        const start = startOfWeek(this.cursor);
+        const end = addDays(start, 6);
+        const format = { day: 'numeric', month: 'short' };
+        return `${start.toLocaleDateString(undefined, format)} – ${end.toLocaleDateString(undefined, { ...format, year: 'numeric' })}`;
+    }
+
+    render() {
+        const grid = document.getElementById('plannerGrid');
+        if (!grid) return;
+
+        const label = document.getElementById('plannerLabel');
+        if (label) label.textContent = this.getPeriodLabel();
+
+        const period = this.view === 'month' ? 'month' : 'week';
+        document.getElementById('plannerPrev')?.setAttribute('aria-label', `Previous ${period}`);
+        document.getElementById('plannerNext')?.setAttribute('aria-label', `Next ${period}`);
+
+        const planBtn = document.getElementById('planWeekBtn');
+        if (planBtn) {
+            const weekStart = startOfWeek(this.cursor);
+            planBtn.textContent = `Plan week of ${weekStart.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}`;
+        }
+
+        grid.className = `planner-grid planner-grid--${this.view}`;
+        grid.replaceChildren();
+
+        if (this.view === 'month') {
+            PLANNER_WEEKDAYS.forEach(weekday => {
+                const heading = document.createElement('div');
+                heading.className = 'planner-weekday';
+                heading.textContent = weekday.label;
+                grid.appendChild(heading);
+            });
+        }
+
+        this.getVisibleDays().forEach(day => grid.appendChild(this.renderDay(day)));
+    }
+
+    renderDay(day) {
+        const key = toDateKey(day);
+        const today = toDateKey(new Date());
+        const entry = this.app.engine.getCalendarEntry(key);
+
+        const cell = document.createElement('div');
+        cell.className = 'planner-day';
+        if (key === today) cell.classList.add('planner-day--today');
+        if (key < today) cell.classList.add('planner-day--past');
+        if (this.view === 'month' && day.getMonth() !== this.cursor.getMonth()) {
+            cell.classList.add('planner-day--outside');
+        }
+
+        const dateLabel = this.view === 'week'
+            ? day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })
+            : day.getDate();
+        // Screen readers get the whole date instead of the abbreviated label
+        const fullDate = day.toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+
+        const header = buildElement('div', { className: 'planner-day__header' },
+            buildElement('span', { className: 'planner-day__date' },
+                buildElement('span', { 'aria-hidden': 'true' }, dateLabel),
+                buildElement('span', { className: 'sr-only' }, fullDate)
+            )
+        );
+        cell.appendChild(header);
+
+        if (!entry) {
+            if (this.view === 'week') {
+                cell.appendChild(buildElement('p', { className: 'planner-day__empty' }, 'Nothing planned'));
+            }
+            return cell;
+        }
+
+        // Items deleted from the wardrobe since planning are simply left out
+        const images = entry.itemIds
+            .map(id => this.app.engine.getItem(id))
+            .filter(Boolean);
+        const occasion = this.app.wardrobePanel.getOccasions().find(option => option.value === entry.occasion);
+
+        header.appendChild(buildElement('button', {
+            type: 'button',
+            className: 'planner-day__remove',
+            title: 'Remove from calendar',
+            'aria-label': `Remove the outfit planned for ${fullDate}`,
+            on: {
+                click: async () => {
+                    try {
+                        await this.app.engine.unplanOutfit(key);
+                    } catch (error) {
+                        this.app.showMessage('Could not remove the planned outfit. Please try again.');
+                        return;
+                    }
+                    this.app.announce(`Outfit for ${fullDate} removed from the calendar.`);
+                    document.getElementById('plannerToday')?.focus();
+                }
+            }
+        }, '✕'));
+        if (occasion) cell.appendChild(buildElement('span', { className: 'planner-day__occasion' }, occasion.label));
+        cell.appendChild(buildElement('div', { className: 'planner-day__items' },
+            images.map(img => buildElement('img', {
+                src: this.app.getThumbnailUrl(img), alt: describeItemPhoto(img), title: img.name
+            }))
+        ));
+        return cell;
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('planStatus');
+        if (status) status.textContent = message;
+    }
+
+    // Fill every remaining day of the shown week that has an occasion picked
+    async planWeek() {
+        const weekStart = startOfWeek(this.cursor);
+        const today = toDateKey(new Date());
+        const form = document.getElementById('planWeekForm');
+        const weekKeys = PLANNER_WEEKDAYS.map((weekday, i) => toDateKey(addDays(weekStart, i)));
+
+        const days = PLANNER_WEEKDAYS
+            .map((weekday, i) => ({
+                date: weekKeys[i],
+                occasion: form?.querySelector(`[data-weekday="${weekday.value}"]`)?.value || ''
+            }))
+            .filter(day => day.occasion && day.date >= today);
+
+        if (days.length === 0) {
+            this.setStatus('Pick an occasion for at least one remaining day of this week.');
+            return;
+        }
+
+        // Days of the week that are not re-planned keep their outfits, and their items stay taken
+        const reserved = this.app.engine.calendar.filter(entry =>
+            weekKeys.includes(entry.date) && !days.some(day => day.date === entry.date));
+
+        const planBtn = document.getElementById('planWeekBtn');
+        if (planBtn) planBtn.disabled = true;
+        this.setStatus('Planning…');
+
+        try {
+            const colorPreference = document.getElementById('colorPreference')?.value || '';
+            const clothingType = document.getElementById('clothingType')?.value || '';
+            const conditions = this.app.getConditions();
+
+            const plan = await this.app.engine.planDays(days, {
+                clothingType,
+                colorPreference,
+                conditions,
+                reserved,
+                repeatDays: this.app.getRepeatDays(),
+                noRepeat: document.getElementById('planNoRepeat')?.checked || false
+            });
+
+            const planned = plan.filter(day => day.outfit).length;
+            const missing = plan
+                .filter(day => !day.outfit)
+                .map(day => fromDateKey(day.date).toLocaleDateString(undefined, { weekday: 'short' }));
+            this.setStatus(missing.length > 0
+                ? `Planned ${planned} of ${plan.length} days. Nothing fits ${missing.join(', ')} under these constraints.`
+                : `Planned ${planned} day${planned === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Week planning failed:', error);
+            this.setStatus('Could not plan this week. Please try again.');
+        } finally {
+            if (planBtn) planBtn.disabled = false;
+            this.render();
+        }
+    }
+}
@@ -0,0 +1,247 @@
+// Plain-language explanations of why pieces were put together
+
+import { describeColor } from './color-analysis.js';
+import { analyzePaletteColor, classifyColorPair, scoreColorPair } from './color-harmony.js';
+import { GARMENT_KEYWORDS } from './garment-classifier.js';
+import { describeSeasonFit } from './season-rules.js';
+
+export const CATEGORY_NOUNS = {
+    'top': 'top',
+    'bottom': 'bottoms',
+    'one-piece': 'dress',
+    'outerwear': 'layer',
+    'footwear': 'shoes'
+};
+
+const PATTERN_ADJECTIVES = {
+    stripes: 'striped',
+    checks: 'checked',
+    floral: 'floral',
+    graphic: 'graphic'
+};
+
+// Garment word from the file name ("chinos", "blazer"), falling back to the category
+function itemNoun(item) {
+    const lower = (item.name || '').toLowerCase();
+    for (const [, keywords] of GARMENT_KEYWORDS) {
+        const match = new RegExp('(?:^|[^a-z])((?:' + keywords.join('|') + ')[a-z]*)').exec(lower);
+        if (match) return match[1];
+    }
+    return CATEGORY_NOUNS[item.category] || 'piece';
+}
+
+// Short reference to an item for sentences, e.g. "navy chinos" or "coral shirt"
+export function describeItem(item) {
+    const color = item.colors && item.colors.length > 0 ? describeColor(item.colors[0].hex) : '';
+    return [color, itemNoun(item)].filter(Boolean).join(' ');
+}
+
+// Alt text for an item's photo, built from its metadata rather than the file name,
+// e.g. "Navy striped shirt, tagged work, linen"
+export function describeItemPhoto(item) {
+    const color = item.colors && item.colors.length > 0 ? describeColor(item.colors[0].hex) : '';
+    const text = [color, PATTERN_ADJECTIVES[item.pattern], itemNoun(item)].filter(Boolean).join(' ');
+    const tags = item.tags && item.tags.length > 0 ? `, tagged ${item.tags.join(', ')}` : '';
+    return text.charAt(0).toUpperCase() + text.slice(1) + tags;
+}
+
+// Screen-reader description of an item's color strip, e.g. "navy 60%, white 40%"
+export function describeItemPalette(item) {
+    return (item.colors || [])
+        .map(color => `${describeColor(color.hex)} ${Math.round(color.weight * 100)}%`)
+        .join(', ');
+}
+
+function mainPaletteColor(item) {
+    return item.colors && item.colors.length > 0 ? analyzePaletteColor(item.colors[0]) : null;
+}
+
+// How a companion's main color relates to an anchor's
+function explainColorRelation(item, anchor) {
+    const a = mainPaletteColor(item);
+    const b = mainPaletteColor(anchor);
+    if (!a || !b) return null;
+
+    const anchorName = describeItem(anchor);
+    switch (classifyColorPair(a, b)) {
+        case 'neutral-base':
+            return a.neutral
+                ? `a neutral base that lets the ${anchorName} stand out`
+                : `adds color against the neutral ${anchorName}`;
+        case 'monochrome':
+            return `repeats the hue of the ${anchorName} for a tonal look`;
+        case 'analogous':
+            return `sits next to the ${anchorName} on the color wheel`;
+        case 'complementary':
+            return `contrasts with the ${anchorName} as its complementary color`;
+        case 'triadic':
+            return `forms a balanced triad with the ${anchorName}`;
+        default:
+            return `adds an unexpected color next to the ${anchorName}`;
+    }
+}
+
+function explainPatternRelation(item, anchors) {
+    const patternedAnchor = anchors.find(anchor => anchor.pattern && anchor.pattern !== 'solid');
+    if (item.pattern === 'solid' && patternedAnchor) {
+        return `solid, so the ${PATTERN_ADJECTIVES[patternedAnchor.pattern]} ${describeItem(patternedAnchor)} stays the focal point`;
+    }
+    if (item.pattern && item.pattern !== 'solid' && anchors.every(anchor => anchor.pattern === 'solid')) {
+        return `brings a ${PATTERN_ADJECTIVES[item.pattern]} accent to the solid ${anchors.length === 1 ? 'anchor' : 'anchors'}`;
+    }
+    return null;
+}
+
+// Why a companion piece was picked to go with the anchored items, as one sentence
+export function explainCompanion(item, anchors) {
+    // Relate it to the anchor it harmonizes with best
+    const relations = anchors
+        .filter(anchor => mainPaletteColor(anchor) && mainPaletteColor(item))
+        .map(anchor => ({
+            anchor,
+            score: scoreColorPair(mainPaletteColor(item), mainPaletteColor(anchor)).score
+        }))
+        .sort((a, b) => b.score - a.score);
+
+    const reasons = [
+        relations.length > 0 ? explainColorRelation(item, relations[0].anchor) : null,
+        explainPatternRelation(item, anchors)
+    ].filter(Boolean);
+
+    const name = describeItem(item);
+    const subject = name.charAt(0).toUpperCase() + name.slice(1);
+    return reasons.length > 0
+        ? `${subject}: ${reasons.join('; ')}.`
+        : `${subject}: completes the outfit around your chosen ${anchors.length === 1 ? 'piece' : 'pieces'}.`;
+}
+
+// Factors of the score breakdown, in display order
+const SCORE_FACTORS = [
+    { key: 'color', label: 'Color harmony' },
+    { key: 'pattern', label: 'Pattern balance' },
+    { key: 'occasion', label: 'Occasion fit' },
+    { key: 'formality', label: 'Formality consistency' },
+    { key: 'season', label: 'Season fit' },
+    { key: 'preference', label: 'Personal preference' }
+];
+
+// "chinos balance" but "shirt balances"
+export function isPluralNoun(noun) {
+    return /s$/.test(noun) && !/ss$/.test(noun);
+}
+
+function itemVerb(item, singular, plural) {
+    return isPluralNoun(itemNoun(item)) ? plural : singular;
+}
+
+// "bright coral shirt", "soft pink blouse", or just "navy chinos" for neutrals
+function describeItemTone(item) {
+    const color = mainPaletteColor(item);
+    if (!color || color.neutral) return describeItem(item);
+    if (color.saturation > 0.6 && color.lightness > 0.35 && color.lightness < 0.7) return `bright ${describeItem(item)}`;
+    if (color.lightness > 0.75) return `soft ${describeItem(item)}`;
+    return describeItem(item);
+}
+
+function explainColorFactor(items) {
+    const colored = items.filter(item => mainPaletteColor(item));
+    if (colored.length < 2) return 'Not enough color information to judge the harmony.';
+
+    const pairs = [];
+    for (let i = 0; i < colored.length; i++) {
+        for (let j = i + 1; j < colored.length; j++) {
+            const result = scoreColorPair(mainPaletteColor(colored[i]), mainPaletteColor(colored[j]));
+            pairs.push({ a: colored[i], b: colored[j], ...result });
+        }
+    }
+    pairs.sort((x, y) => y.score - x.score);
+
+    // A clash decides the look; otherwise the strongest pair does
+    const weakest = pairs[pairs.length - 1];
+    if (weakest.scheme === 'clash') {
+        return `The ${describeItemTone(weakest.a)} and ${describeItemTone(weakest.b)} clash; swapping one for a neutral would calm the look.`;
+    }
+
+    const { a, b, scheme } = pairs[0];
+    switch (scheme) {
+        case 'neutral-base': {
+            const aNeutral = mainPaletteColor(a).neutral;
+            const bNeutral = mainPaletteColor(b).neutral;
+            if (aNeutral && bNeutral) return `The ${describeItem(a)} and ${describeItem(b)} are easy neutrals that always work together.`;
+            const [neutral, accent] = aNeutral ? [a, b] : [b, a];
+            return `The ${describeItem(neutral)} ${itemVerb(neutral, 'balances', 'balance')} the ${describeItemTone(accent)}.`;
+        }
+        case 'monochrome':
+            return `The ${describeItem(a)} and ${describeItem(b)} share one hue for a tonal look.`;
+        case 'analogous':
+            return `The ${describeItem(a)} and ${describeItem(b)} sit next to each other on the color wheel, so the palette flows.`;
+        case 'complementary':
+            return `The ${describeItemTone(a)} and ${describeItemTone(b)} are complementary colors for a bold contrast.`;
+        default:
+            return `The ${describeItem(a)} and ${describeItem(b)} form a playful, evenly spaced mix.`;
+    }
+}
+
+function explainPatternFactor(items, pattern) {
+    const patterned = items.filter(item => item.pattern && item.pattern !== 'solid');
+    switch (pattern.balance) {
+        case 'all-solid':
+            return 'All pieces are solid, so nothing competes for attention.';
+        case 'single-statement':
+            return `The ${PATTERN_ADJECTIVES[patterned[0].pattern]} ${describeItem(patterned[0])} is the statement piece; the solids keep it calm.`;
+        case 'clash':
+            return `The ${patterned.map(item => `${PATTERN_ADJECTIVES[item.pattern]} ${describeItem(item)}`).join(' and the ')} compete for attention.`;
+        default:
+            return 'Pattern information is not available for these items.';
+    }
+}
+
+function explainOccasionFactor(items, rule, result) {
+    const occasion = rule.label.toLowerCase();
+    if (result.misfits.length === 0) return `Every piece suits a ${occasion} occasion.`;
+
+    return result.misfits.map(misfit => {
+        const item = items.find(candidate => candidate.id === misfit.itemId);
+        const name = describeItem(item);
+        const subject = name.charAt(0).toUpperCase() + name.slice(1);
+        if (misfit.direction === 'tagged') return `${subject} ${itemVerb(item, 'is', 'are')} tagged for other occasions.`;
+        return `${subject} ${itemVerb(item, 'is', 'are')} too ${misfit.direction === 'casual' ? 'casual' : 'dressy'} for ${occasion}.`;
+    }).join(' ');
+}
+
+function explainFormalityFactor(items, result) {
+    if (result.spread <= 1) return 'All pieces sit at a similar level of dress.';
+
+    const formal = items.find(item => item.id === result.mostFormalId);
+    const casual = items.find(item => item.id === result.mostCasualId);
+    return `The ${describeItem(formal)} ${itemVerb(formal, 'is', 'are')} much dressier than the ${describeItem(casual)}.`;
+}
+
+function explainPreferenceFactor(preference) {
+    if (preference === null) return 'Rate a few outfits to personalize this.';
+    if (preference > 0.65) return 'Close to the outfits you have liked before.';
+    if (preference < 0.35) return 'Unlike the outfits you usually like.';
+    return 'Neither close to nor far from what you usually like.';
+}
+
+// Per-factor scores and explanations: [{ key, label, score (0-1, or null), explanation }]
+// details is a scoreOutfit() result; factors that do not apply are left out.
+export function explainScoreBreakdown(items, details, { occasionRule = null, conditions = null } = {}) {
+    const explanations = {
+        color: () => explainColorFactor(items),
+        pattern: () => explainPatternFactor(items, details.pattern),
+        occasion: () => explainOccasionFactor(items, occasionRule, details.occasion),
+        formality: () => explainFormalityFactor(items, details.formality),
+        season: () => describeSeasonFit(details.season, conditions),
+        preference: () => explainPreferenceFactor(details.factors.preference)
+    };
+
+    return SCORE_FACTORS
+        .filter(factor => factor.key === 'preference' || details.factors[factor.key] !== null)
+        .map(factor => ({
+            key: factor.key,
+            label: factor.label,
+            score: details.factors[factor.key],
+            explanation: explanations[factor.key]()
+        }));
+}
@@ -0,0 +1,72 @@
+// Occasion fit and formality consistency of an outfit
+// Items carry a formality level (1 = very casual ... 5 = black tie); when unset it is estimated
+// from the garment words in the item's name.
+
+export const FORMALITY_LEVELS = [
+    { value: 1, label: 'Very casual' },
+    { value: 2, label: 'Casual' },
+    { value: 3, label: 'Smart casual' },
+    { value: 4, label: 'Business' },
+    { value: 5, label: 'Formal' }
+];
+
+// Checked in order; the first matching word decides
+const FORMALITY_KEYWORDS = [
+    [5, ['tuxedo', 'gown', 'suit', 'oxford', 'heel', 'pump']],
+    [4, ['blazer', 'slacks', 'trouser', 'blouse', 'loafer', 'shirt-dress', 'coat']],
+    [1, ['hoodie', 'jogger', 'sweatshirt', 'legging', 'tank', 'flip', 'slipper', 'trainer']],
+    [2, ['tee', 't-shirt', 'jean', 'short', 'sneaker', 'sandal', 'polo']],
+    [3, ['shirt', 'chino', 'sweater', 'jumper', 'cardigan', 'skirt', 'dress', 'boot', 'jacket']]
+];
+
+export function estimateFormality(item) {
+    const lower = (item.name || '').toLowerCase();
+    for (const [level, keywords] of FORMALITY_KEYWORDS) {
+        const pattern = new RegExp('(^|[^a-z])(' + keywords.join('|') + ')');
+        if (pattern.test(lower)) return level;
+    }
+    // Loud prints read casual
+    return item.pattern === 'graphic' ? 2 : 3;
+}
+
+export function itemFormality(item) {
+    return item.formality || estimateFormality(item);
+}
+
+// How well each piece suits the occasion rule's formality range (0-1); the worst fitting pieces are reported
+export function scoreOccasionFit(items, rule) {
+    if (!rule) return null;
+
+    const range = rule.formality;
+    const fits = items.map(item => {
+        // The user's own occasion tags beat the formality estimate
+        if (item.occasions && item.occasions.length > 0) {
+            return { item, fit: item.occasions.includes(rule.id) ? 1 : 0.3 };
+        }
+        const formality = itemFormality(item);
+        const distance = formality < range[0] ? range[0] - formality : Math.max(0, formality - range[1]);
+        return { item, fit: Math.max(0, 1 - distance * 0.35), direction: formality < range[0] ? 'casual' : 'formal' };
+    });
+
+    return {
+        score: fits.reduce((sum, entry) => sum + entry.fit, 0) / fits.length,
+        misfits: fits.filter(entry => entry.fit < 1).map(entry => ({
+            itemId: entry.item.id,
+            direction: entry.direction || 'tagged'
+        }))
+    };
+}
+
+// Pieces should sit at a similar level of dress; a blazer with joggers does not
+export function scoreFormalityConsistency(items) {
+    const levels = items.map(item => ({ id: item.id, formality: itemFormality(item) }));
+    const sorted = [...levels].sort((a, b) => a.formality - b.formality);
+    const spread = sorted[sorted.length - 1].formality - sorted[0].formality;
+
+    return {
+        score: Math.max(0, 1 - Math.max(0, spread - 1) * 0.35),
+        spread,
+        mostCasualId: sorted[0].id,
+        mostFormalId: sorted[sorted.length - 1].id
+    };
+}
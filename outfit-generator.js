@@ -0,0 +1,227 @@
+// Deterministic outfit generator
+// Enumerates every structurally valid outfit, scores it and returns a ranked, de-duplicated top-N.
+// Pure functions only, so it runs the same on the page and inside outfit-worker.js.
+
+import { scoreColorHarmony } from './color-harmony.js';
+import { GARMENT_CATEGORIES, isValidOutfit } from './garment-classifier.js';
+import { breaksOccasionRule, isItemAllowedByRule } from './occasion-rules.js';
+import { scoreFormalityConsistency, scoreOccasionFit } from './outfit-factors.js';
+import { scorePatternBalance } from './pattern-detection.js';
+import { PreferenceModel, outfitFeatures } from './preference-model.js';
+import { SEASON_SCORE_WEIGHT, isItemWeatherAppropriate, layeringRequirement, scoreSeasonFit } from './season-rules.js';
+
+const GENERATOR_DEFAULT_LIMIT = 6;
+export const GENERATOR_BASE_BEAM = 30;   // Best top/bottom (or one-piece) bases kept before layering
+export const GENERATOR_LAYER_BEAM = 3;   // Best outerwear / footwear options tried per base
+
+// How much each factor contributes to an outfit's overall score; occasion only counts when one is chosen
+const OUTFIT_SCORE_WEIGHTS = {
+    color: 0.5,
+    pattern: 0.2,
+    occasion: 0.15,
+    formality: 0.15
+};
+
+// Small seeded PRNG (mulberry32) so tie-breaks are stable for identical inputs
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a hash of a string, used to derive the seed from the wardrobe and preferences
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function generatorSeed(items, options) {
+    const wardrobe = items
+        .map(item => [item.name, item.category, item.pattern, item.warmth, item.formality,
+            (item.seasons || []).join(','), (item.occasions || []).join(','),
+            (item.colors || []).map(c => c.hex).join(',')].join('|'))
+        .join(';');
+    return hashString(wardrobe + '#' + JSON.stringify(options));
+}
+
+export function outfitKey(items) {
+    return outfitKeyFromIds(items.map(item => item.id));
+}
+
+// outfitKey() of the items with these ids
+export function outfitKeyFromIds(itemIds) {
+    return itemIds.map(String).sort().join('+');
+}
+
+// Overall score of an outfit: color harmony, the pattern clash rule, occasion fit and formality
+// consistency plus, when known, the season/temperature fit; reweighted by the personal preference
+// model once there is feedback. context = { colorPreference, occasionRule, conditions, preferenceModel }.
+// factors holds each factor's 0-1 score (null when it does not apply) for the score breakdown.
+export function scoreOutfit(items, context = {}) {
+    const { colorPreference = '', occasionRule = null, conditions = null, preferenceModel = null } = context;
+    const harmony = scoreColorHarmony(items, colorPreference);
+    const pattern = scorePatternBalance(items);
+    const occasionFit = scoreOccasionFit(items, occasionRule);
+    const formality = scoreFormalityConsistency(items);
+
+    const weighted = [
+        [harmony.score, OUTFIT_SCORE_WEIGHTS.color],
+        [pattern.score, OUTFIT_SCORE_WEIGHTS.pattern],
+        [occasionFit ? occasionFit.score : null, OUTFIT_SCORE_WEIGHTS.occasion],
+        [formality.score, OUTFIT_SCORE_WEIGHTS.formality]
+    ].filter(([value]) => value !== null);
+    let score = weighted.reduce((sum, [value, weight]) => sum + value * weight, 0) /
+        weighted.reduce((sum, [, weight]) => sum + weight, 0);
+
+    const season = scoreSeasonFit(items, conditions);
+    if (season) {
+        score = score * (1 - SEASON_SCORE_WEIGHT) + season.score * SEASON_SCORE_WEIGHT;
+    }
+
+    let preference = null;
+    if (preferenceModel && preferenceModel.examples > 0) {
+        preference = preferenceModel.predict(outfitFeatures(items));
+        const influence = preferenceModel.influence();
+        score = score * (1 - influence) + preference * influence;
+    }
+
+    return {
+        score,
+        rating: Math.min(5, Math.max(1, Math.round(1 + score * 4))),
+        confidence: harmony.confidence,
+        harmony,
+        pattern,
+        occasion: occasionFit,
+        formality,
+        season,
+        preference,
+        factors: {
+            color: harmony.score,
+            pattern: pattern.score,
+            occasion: occasionFit ? occasionFit.score : null,
+            formality: formality.score,
+            season: season ? season.score : null,
+            preference
+        }
+    };
+}
+
+// Enumerate base outfits: every top + bottom pair and every one-piece
+export function enumerateBases(byCategory) {
+    const bases = [];
+    byCategory['top'].forEach(top => {
+        byCategory['bottom'].forEach(bottom => bases.push([top, bottom]));
+    });
+    byCategory['one-piece'].forEach(onePiece => bases.push([onePiece]));
+    return bases;
+}
+
+// Keep the layer candidates that sit best with a base
+function bestLayers(base, candidates, context) {
+    return candidates
+        .map(layer => ({ layer, score: scoreOutfit([...base, layer], context).score }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, GENERATOR_LAYER_BEAM)
+        .map(entry => entry.layer);
+}
+
+// Generate a ranked list of outfits. Returns [{ itemIds, scores }], best first.
+// options.anchorIds lists items every outfit must include ("build around this item");
+// options.occasionRule is the chosen occasion's rule (see occasion-rules.js).
+export function generateOutfits(items, options = {}) {
+    const occasionRule = options.occasionRule || null;
+    // The occasion's palette bias stands in when the user has no color preference
+    const colorPreference = options.colorPreference || (occasionRule && occasionRule.paletteBias) || '';
+    const limit = options.limit || GENERATOR_DEFAULT_LIMIT;
+    const preferenceModel = options.preferenceModel ? PreferenceModel.fromJSON(options.preferenceModel) : null;
+    const blocked = new Set(options.blockedOutfits || []);
+    const conditions = options.conditions || null;
+    const anchorIds = options.anchorIds || [];
+    const anchors = new Set(anchorIds);
+    const context = { colorPreference, occasionRule, conditions, preferenceModel };
+    const random = createSeededRandom(generatorSeed(items, { colorPreference, occasionRule, limit, preferenceModel, conditions, anchorIds }));
+
+    // Pieces unwearable in the current weather or outside the occasion's categories never enter
+    // an outfit, unless the user anchored them
+    const byCategory = {};
+    GARMENT_CATEGORIES.forEach(category => { byCategory[category.value] = []; });
+    items.forEach(item => {
+        if (byCategory[item.category] && (anchors.has(item.id) ||
+            (isItemWeatherAppropriate(item, conditions) && isItemAllowedByRule(item, occasionRule)))) {
+            byCategory[item.category].push(item);
+        }
+    });
+
+    // A category with an anchored piece only offers that piece
+    Object.keys(byCategory).forEach(category => {
+        const anchored = byCategory[category].filter(item => anchors.has(item.id));
+        if (anchored.length > 0) byCategory[category] = anchored;
+    });
+    const hasAnchors = outfit => anchorIds.every(id => outfit.some(item => item.id === id));
+
+    // Below the layering threshold a jacket is required, when the wardrobe has one
+    const layering = layeringRequirement(conditions);
+    const outerwearAnchored = byCategory['outerwear'].some(item => anchors.has(item.id));
+    const outerwearRuled = Boolean(occasionRule && occasionRule.requiredCategories.includes('outerwear'));
+    const outerwearRequired = outerwearAnchored || outerwearRuled ||
+        (layering === 'required' && byCategory['outerwear'].length > 0);
+    if (layering === 'none' && !outerwearAnchored && !outerwearRuled) byCategory['outerwear'] = [];
+
+    // Bases must already hold every anchored top, bottom or one-piece
+    const baseAnchors = anchorIds.filter(id => items.some(item => item.id === id &&
+        ['top', 'bottom', 'one-piece'].includes(item.category)));
+
+    // Prune weak bases before expanding layers so large wardrobes stay fast
+    const bases = enumerateBases(byCategory)
+        .filter(base => baseAnchors.every(id => base.some(item => item.id === id)))
+        .map(base => ({ base, score: scoreOutfit(base, context).score }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, GENERATOR_BASE_BEAM)
+        .map(entry => entry.base);
+
+    const seen = new Set();
+    const candidates = [];
+
+    bases.forEach(base => {
+        // Outerwear is optional unless it is cold; shoes are always worn when the wardrobe has any
+        const layers = bestLayers(base, byCategory['outerwear'], context);
+        const outerwearOptions = outerwearRequired ? layers : [null, ...layers];
+        const footwearOptions = byCategory['footwear'].length > 0
+            ? bestLayers(base, byCategory['footwear'], context)
+            : [null];
+
+        outerwearOptions.forEach(outerwear => {
+            footwearOptions.forEach(footwear => {
+                const outfit = [...base];
+                if (outerwear) outfit.push(outerwear);
+                if (footwear) outfit.push(footwear);
+
+                const key = outfitKey(outfit);
+                // "Never suggest" outfits and ones the occasion rule forbids are dropped outright
+                if (seen.has(key) || blocked.has(key) || !isValidOutfit(outfit) || !hasAnchors(outfit) ||
+                    breaksOccasionRule(outfit, occasionRule)) return;
+                seen.add(key);
+
+                candidates.push({
+                    itemIds: outfit.map(item => item.id),
+                    scores: scoreOutfit(outfit, context),
+                    tieBreak: random()
+                });
+            });
+        });
+    });
+
+    return candidates
+        .sort((a, b) => b.scores.score - a.scores.score || a.tieBreak - b.tieBreak)
+        .slice(0, limit)
+        .map(({ itemIds, scores }) => ({ itemIds, scores }));
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Outfit planning: calendar dates, repeat-avoidance and planning several days at once
+// Dates are local calendar days stored as "YYYY-MM-DD" keys.
+
+import { outfitKeyFromIds } from './outfit-generator.js';
+
+export const PLANNER_DEFAULT_REPEAT_DAYS = 3;
+
+// Monday-first, values match Date#getDay()
+export const PLANNER_WEEKDAYS = [
+    { value: 1, label: 'Mon' },
+    { value: 2, label: 'Tue' },
+    { value: 3, label: 'Wed' },
+    { value: 4, label: 'Thu' },
+    { value: 5, label: 'Fri' },
+    { value: 6, label: 'Sat' },
+    { value: 0, label: 'Sun' }
+];
+
+export function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+export function addDays(date, days) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+export function startOfWeek(date) {
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+// Whole days between two date keys, unaffected by daylight saving changes
+function daysBetween(fromKey, toKey) {
+    const utc = key => {
+        const [year, month, day] = key.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((utc(toKey) - utc(fromKey)) / 86400000);
+}
+
+// Items without occasions count as suitable for any occasion
+export function isItemForOccasion(item, occasion) {
+    return !occasion || !item.occasions || item.occasions.length === 0 || item.occasions.includes(occasion);
+}
+
+// Items worn or planned within `days` days of a date, either side.
+// history = [{ date, itemIds, planned }]; a planned outfit on the date itself is the one being
+// replaced, so it does not count against the new suggestion.
+export function recentlyWornItemIds(history, dateKey, days) {
+    const ids = new Set();
+    if (!days || days <= 0) return ids;
+
+    history.forEach(entry => {
+        if (entry.planned && entry.date === dateKey) return;
+        if (Math.abs(daysBetween(entry.date, dateKey)) > days) return;
+        entry.itemIds.forEach(id => ids.add(id));
+    });
+    return ids;
+}
+
+// Plan one outfit per day, in order. days = [{ date, occasion }].
+// recommend(items, { occasion, blockedOutfits }) resolves with ranked outfits ([{ itemIds, ... }]).
+// Each planned day joins the history so later days avoid repeating it; with noRepeat, no item
+// is used on two of the given days (or on any day in `reserved`, [{ date, itemIds }]).
+// Resolves with [{ date, occasion, outfit }], where outfit is null when nothing fits.
+export async function planOutfits(days, { items, history = [], reserved = [], repeatDays = 0, noRepeat = false,
+    blockedOutfits = [], recommend }) {
+    const plan = [];
+    const used = new Set();
+    reserved.forEach(entry => entry.itemIds.forEach(id => used.add(id)));
+    const blocked = new Set(blockedOutfits);
+    const planHistory = history.filter(entry => !days.some(day => entry.planned && entry.date === day.date));
+
+    for (const day of days) {
+        const avoid = recentlyWornItemIds(planHistory, day.date, repeatDays);
+        const available = items.filter(item => isItemForOccasion(item, day.occasion) &&
+            !avoid.has(item.id) && !(noRepeat && used.has(item.id)));
+
+        const outfits = available.length > 0
+            ? await recommend(available, { occasion: day.occasion, blockedOutfits: [...blocked] })
+            : [];
+        const outfit = outfits[0] || null;
+
+        if (outfit) {
+            outfit.itemIds.forEach(id => used.add(id));
+            // The same outfit is never planned twice in one run
+            blocked.add(outfitKeyFromIds(outfit.itemIds));
+            planHistory.push({ date: day.date, itemIds: outfit.itemIds, planned: true });
+        }
+        plan.push({ date: day.date, occasion: day.occasion, outfit });
+    }
+
+    return plan;
+}
@@ -0,0 +1,97 @@
+// Composed outfit preview: the cut-out items dressed on a neutral mannequin
+// Drawn on a canvas in PREVIEW_WIDTH x PREVIEW_HEIGHT coordinates.
+
+import { decodeImage } from './image-pipeline.js';
+
+const PREVIEW_WIDTH = 300;
+const PREVIEW_HEIGHT = 480;
+const PREVIEW_MANNEQUIN_COLOR = '#dcd7cf';
+
+// Where each category sits on the mannequin; items are scaled to fit their slot
+const PREVIEW_SLOTS = {
+    'outerwear': { x: 50, y: 70, width: 200, height: 205, anchor: 'top' },
+    'top': { x: 75, y: 76, width: 150, height: 160, anchor: 'top' },
+    'bottom': { x: 95, y: 218, width: 110, height: 222, anchor: 'top' },
+    'one-piece': { x: 70, y: 76, width: 160, height: 345, anchor: 'top' },
+    'footwear': { x: 85, y: 428, width: 130, height: 48, anchor: 'bottom' }
+};
+
+// Back to front: outerwear behind everything, the top over the waistband, shoes last
+const PREVIEW_LAYER_ORDER = ['outerwear', 'bottom', 'one-piece', 'top', 'footwear'];
+
+function drawMannequin(ctx) {
+    ctx.fillStyle = PREVIEW_MANNEQUIN_COLOR;
+
+    // Head and neck
+    ctx.beginPath();
+    ctx.arc(150, 40, 26, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillRect(140, 62, 20, 18);
+
+    // Torso from the shoulders to the hips
+    ctx.beginPath();
+    ctx.moveTo(82, 84);
+    ctx.quadraticCurveTo(150, 70, 218, 84);
+    ctx.lineTo(196, 226);
+    ctx.lineTo(202, 252);
+    ctx.lineTo(98, 252);
+    ctx.lineTo(104, 226);
+    ctx.closePath();
+    ctx.fill();
+
+    // Arms
+    [[82, 60], [218, 240]].forEach(([shoulder, hand]) => {
+        ctx.beginPath();
+        ctx.moveTo(shoulder, 86);
+        ctx.lineTo(hand, 250);
+        ctx.lineTo(hand + (hand < 150 ? 16 : -16), 252);
+        ctx.lineTo(shoulder + (shoulder < 150 ? 14 : -14), 104);
+        ctx.closePath();
+        ctx.fill();
+    });
+
+    // Legs, tapering to the ankles
+    [[100, 149, 118, 140], [151, 200, 160, 182]].forEach(([outer, inner, ankleOuter, ankleInner]) => {
+        ctx.beginPath();
+        ctx.moveTo(outer, 250);
+        ctx.lineTo(inner, 250);
+        ctx.lineTo(ankleInner, 440);
+        ctx.lineTo(ankleOuter, 440);
+        ctx.closePath();
+        ctx.fill();
+    });
+}
+
+// Scale an image into its slot, centred horizontally and pinned to the slot's anchor edge
+function drawInSlot(ctx, image, slot) {
+    const scale = Math.min(slot.width / image.width, slot.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const x = slot.x + (slot.width - width) / 2;
+    const y = slot.anchor === 'bottom' ? slot.y + slot.height - height : slot.y;
+    ctx.drawImage(image, x, y, width, height);
+}
+
+// Draw the outfit onto a canvas. items are wardrobe entries with category and thumbnail/file blobs.
+export async function renderOutfitPreview(canvas, items) {
+    canvas.width = PREVIEW_WIDTH;
+    canvas.height = PREVIEW_HEIGHT;
+
+    // Thumbnails are the cut-outs at a size that is plenty for the preview
+    const decoded = await Promise.all(items.map(async item => ({
+        category: item.category,
+        image: await decodeImage(item.thumbnail || item.file)
+    })));
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+    drawMannequin(ctx);
+
+    PREVIEW_LAYER_ORDER.forEach(category => {
+        decoded
+            .filter(entry => entry.category === category)
+            .forEach(entry => drawInSlot(ctx, entry.image, PREVIEW_SLOTS[category]));
+    });
+
+    return canvas;
+}
@@ -0,0 +1,237 @@
+// Sharing a combination: a PNG card rendered on canvas and a self-contained link
+//
+// The link carries the combination in its fragment (#outfit=...), compressed and base64url
+// encoded. Items are referenced by image hash rather than id, so the link opens the same
+// outfit on any machine that has the same wardrobe export imported. Nothing is sent to a server.
+
+import { canvasToBlob, decodeImage } from './image-pipeline.js';
+import { WARDROBE_SEASONS } from './season-rules.js';
+
+const SHARE_VERSION = 1;
+const SHARE_FRAGMENT_KEY = 'outfit';
+const SHARE_HASH_LENGTH = 16;    // Hex digits of the image hash kept in links
+const SHARE_CARD_WIDTH = 1080;
+const SHARE_CARD_PADDING = 60;
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// "z" + deflate where CompressionStream exists, otherwise "j" + plain JSON
+export async function encodeShareState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify({ v: SHARE_VERSION, ...state }));
+    if (typeof CompressionStream !== 'undefined') {
+        return 'z' + bytesToBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')));
+    }
+    return 'j' + bytesToBase64Url(bytes);
+}
+
+export async function decodeShareState(encoded) {
+    let state;
+    try {
+        let bytes = base64UrlToBytes(encoded.slice(1));
+        if (encoded[0] === 'z') {
+            if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read compressed links');
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (encoded[0] !== 'j') {
+            throw new Error('Unknown link encoding');
+        }
+        state = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(`The share link is damaged: ${error.message}`);
+    }
+
+    if (state.v !== SHARE_VERSION) throw new Error('The share link was made by a different version of the app');
+    if (!Array.isArray(state.items)) throw new Error('The share link has no items');
+
+    // Checked after sanitizing, since items with invalid hashes are dropped
+    const sanitized = sanitizeShareState(state);
+    if (sanitized.items.length === 0) throw new Error('The share link has no items');
+    return sanitized;
+}
+
+// Links come from anywhere: keep only known fields, with the expected types and characters
+function sanitizeShareState(state) {
+    const keyword = value => typeof value === 'string' && /^[a-z-]{0,30}$/.test(value) ? value : '';
+    const number = (value, min, max, fallback) => {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+    };
+    const conditions = state.conditions && typeof state.conditions === 'object' ? {
+        season: WARDROBE_SEASONS.some(season => season.value === state.conditions.season) ? state.conditions.season : null,
+        temperature: state.conditions.temperature === null ? null : number(state.conditions.temperature, -60, 60, null)
+    } : null;
+
+    return {
+        items: state.items.filter(hash => typeof hash === 'string' && /^[0-9a-z-]+$/.test(hash)),
+        index: Math.round(number(state.index, 1, 99, 1)),
+        occasion: keyword(state.occasion),
+        clothingType: keyword(state.clothingType),
+        colorPreference: keyword(state.colorPreference),
+        conditions: conditions && (conditions.season || conditions.temperature !== null) ? conditions : null,
+        rating: Math.round(number(state.rating, 1, 5, 3)),
+        confidence: Math.round(number(state.confidence, 0, 100, 50))
+    };
+}
+
+export function shareImageHash(fullHash) {
+    return fullHash.slice(0, SHARE_HASH_LENGTH);
+}
+
+// Everything needed to rebuild the combination; the analysis text is regenerated from it
+export function combinationShareState(combination, imageHashes) {
+    return {
+        items: imageHashes.map(shareImageHash),
+        index: combination.id,
+        occasion: combination.occasion,
+        clothingType: combination.clothingType,
+        colorPreference: combination.colorPreference,
+        conditions: combination.conditions,
+        rating: combination.rating,
+        confidence: combination.confidence
+    };
+}
+
+export function buildShareUrl(encoded) {
+    return `${location.origin}${location.pathname}#${SHARE_FRAGMENT_KEY}=${encoded}`;
+}
+
+// The encoded state in a location hash, or null when the page was not opened from a share link
+export function readShareFragment(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return params.get(SHARE_FRAGMENT_KEY);
+}
+
+// Break text into lines that fit maxWidth with the context's current font
+function wrapCanvasText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Scale an image into a box, keeping its aspect ratio and centring it
+function drawContained(ctx, image, x, y, width, height) {
+    const scale = Math.min(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    ctx.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+// Compose the combination into one PNG: title, stars, photos, swatches and notes
+export async function renderShareCard(combination) {
+    const images = await Promise.all(combination.images.map(img => decodeImage(img.file)));
+    const width = SHARE_CARD_WIDTH;
+    const padding = SHARE_CARD_PADDING;
+    const contentWidth = width - padding * 2;
+    const font = '-apple-system, "Segoe UI", Roboto, sans-serif';
+
+    // Measure the text first so the canvas can be sized to fit it
+    const measure = document.createElement('canvas').getContext('2d');
+    const sections = [
+        { label: 'Color Harmony', text: combination.colorAnalysis },
+        { label: 'Pattern Balance', text: combination.patternAnalysis },
+        { label: 'Style Notes', text: combination.styleNotes }
+    ].filter(section => section.text);
+    measure.font = `28px ${font}`;
+    sections.forEach(section => { section.lines = wrapCanvasText(measure, section.text, contentWidth); });
+
+    const headerHeight = 170;
+    const photoSize = Math.min(360, (contentWidth - (images.length - 1) * 24) / images.length);
+    const paletteHeight = 28 * combination.images.length + 10 * (combination.images.length - 1);
+    const textHeight = sections.reduce((sum, section) => sum + 50 + section.lines.length * 38 + 24, 0);
+    const height = headerHeight + padding + photoSize + 40 + paletteHeight + 50 + textHeight + 80;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.ceil(height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, canvas.height);
+
+    // Header band in the app's gradient
+    const gradient = ctx.createLinearGradient(0, 0, width, headerHeight);
+    gradient.addColorStop(0, '#667eea');
+    gradient.addColorStop(1, '#764ba2');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, headerHeight);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.textBaseline = 'alphabetic';
+    ctx.font = `bold 52px ${font}`;
+    ctx.fillText(combination.title, padding, 92);
+    ctx.font = `40px ${font}`;
+    const stars = '★'.repeat(combination.rating) + '☆'.repeat(5 - combination.rating);
+    ctx.fillText(`${stars}  ${combination.confidence}%`, padding, 144);
+
+    // Photos side by side
+    let y = headerHeight + padding;
+    const rowWidth = images.length * photoSize + (images.length - 1) * 24;
+    let x = padding + (contentWidth - rowWidth) / 2;
+    images.forEach(image => {
+        ctx.fillStyle = '#f5f5f5';
+        ctx.fillRect(x, y, photoSize, photoSize);
+        drawContained(ctx, image, x, y, photoSize, photoSize);
+        x += photoSize + 24;
+    });
+    y += photoSize + 40;
+
+    // One swatch strip per item, segments sized by color weight
+    combination.images.forEach(img => {
+        const colors = img.colors || [];
+        const total = colors.reduce((sum, color) => sum + color.weight, 0) || 1;
+        let stripX = padding;
+        colors.forEach(color => {
+            const segment = contentWidth * color.weight / total;
+            ctx.fillStyle = color.hex;
+            ctx.fillRect(stripX, y, segment, 28);
+            stripX += segment;
+        });
+        y += 38;
+    });
+    y += 40;
+
+    sections.forEach(section => {
+        ctx.fillStyle = '#764ba2';
+        ctx.font = `bold 30px ${font}`;
+        ctx.fillText(section.label, padding, y + 30);
+        y += 50;
+
+        ctx.fillStyle = '#333333';
+        ctx.font = `28px ${font}`;
+        section.lines.forEach(line => {
+            ctx.fillText(line, padding, y + 28);
+            y += 38;
+        });
+        y += 24;
+    });
+
+    ctx.fillStyle = '#999999';
+    ctx.font = `24px ${font}`;
+    ctx.fillText('AI Style Matcher', padding, canvas.height - 36);
+
+    return canvasToBlob(canvas, 'image/png');
+}
@@ -0,0 +1,42 @@
+// Web Worker that runs the outfit generator and the gap analysis off the main thread
+// (started as a module worker)
+//
+// { requestId, task: 'outfits', items, options } -> { requestId, outfits }
+// { requestId, task: 'gaps', items, rules }      -> { requestId, progress } ..., then { requestId, report }
+// { requestId, task: 'cancel' }                  stops that request's gap analysis; no answer
+// Either may answer { requestId, error } instead.
+
+import { generateOutfits } from './outfit-generator.js';
+import { analyzeWardrobeGaps } from './wardrobe-gaps.js';
+
+// Gap analyses in progress: requestId -> AbortController
+const running = new Map();
+
+self.addEventListener('message', async (e) => {
+    const { requestId, task, items } = e.data;
+    if (task === 'cancel') {
+        running.get(requestId)?.abort();
+        return;
+    }
+
+    try {
+        if (task === 'gaps') {
+            const controller = new AbortController();
+            running.set(requestId, controller);
+            try {
+                const report = await analyzeWardrobeGaps(items, e.data.rules, {
+                    signal: controller.signal,
+                    onProgress: progress => self.postMessage({ requestId, progress })
+                });
+                self.postMessage({ requestId, report });
+            } finally {
+                running.delete(requestId);
+            }
+        } else {
+            const outfits = generateOutfits(items, e.data.options);
+            self.postMessage({ requestId, outfits });
+        }
+    } catch (error) {
+        self.postMessage({ requestId, error: error.message });
+    }
+});
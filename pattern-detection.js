@@ -0,0 +1,213 @@
+// Pattern detection from garment texture
+// Classifies an item as solid, stripes, checks, floral or graphic using edge orientation,
+// periodicity of the luminance profile and the number of distinct colors.
+
+import { computeBackgroundMask, downscalePixels } from './color-analysis.js';
+
+const PATTERN_SAMPLE_SIZE = 128;
+const PATTERN_EDGE_THRESHOLD = 60;      // Sobel magnitude counted as an edge
+const PATTERN_SOLID_EDGE_DENSITY = 0.05;
+const PATTERN_PERIODIC_PEAK = 0.25;     // Share of spectral energy in one frequency that means "repeating"
+
+export const PATTERN_LABELS = {
+    solid: 'Solid',
+    stripes: 'Stripes',
+    checks: 'Checks',
+    floral: 'Floral',
+    graphic: 'Graphic'
+};
+
+// Magnitude-weighted histogram of edge directions in four bins (0°, 45°, 90°, 135°)
+function measureEdges(gray, mask, width, height) {
+    const bins = [0, 0, 0, 0];
+    let interior = 0, edges = 0;
+    let centerEdges = 0;
+
+    const inside = (x, y) => !mask[y * width + x];
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            // Only pixels fully inside the garment, so the outline is not counted as texture
+            if (!inside(x, y) || !inside(x - 1, y - 1) || !inside(x + 1, y - 1) ||
+                !inside(x - 1, y + 1) || !inside(x + 1, y + 1)) continue;
+            interior++;
+
+            const p = (dx, dy) => gray[(y + dy) * width + x + dx];
+            const gx = p(1, -1) + 2 * p(1, 0) + p(1, 1) - p(-1, -1) - 2 * p(-1, 0) - p(-1, 1);
+            const gy = p(-1, 1) + 2 * p(0, 1) + p(1, 1) - p(-1, -1) - 2 * p(0, -1) - p(1, -1);
+            const magnitude = Math.sqrt(gx * gx + gy * gy);
+            if (magnitude < PATTERN_EDGE_THRESHOLD) continue;
+
+            edges++;
+            const angle = (Math.atan2(gy, gx) * 180 / Math.PI + 180) % 180;
+            bins[Math.round(angle / 45) % 4] += magnitude;
+
+            if (x > width * 0.3 && x < width * 0.7 && y > height * 0.25 && y < height * 0.65) {
+                centerEdges++;
+            }
+        }
+    }
+
+    const total = bins.reduce((sum, v) => sum + v, 0) || 1;
+    return {
+        density: interior > 0 ? edges / interior : 0,
+        orientation: bins.map(v => v / total),
+        centerShare: edges > 0 ? centerEdges / edges : 0
+    };
+}
+
+// Strongest non-DC frequency of a 1D luminance profile, as a share of the total AC energy
+function periodicityStrength(profile) {
+    const n = profile.length;
+    if (n < 8) return 0;
+
+    const mean = profile.reduce((sum, v) => sum + v, 0) / n;
+    let total = 0, peak = 0;
+    // Skip the lowest frequencies: they are garment shading, not repetition
+    for (let k = 2; k <= n / 2; k++) {
+        let re = 0, im = 0;
+        for (let i = 0; i < n; i++) {
+            const angle = 2 * Math.PI * k * i / n;
+            re += (profile[i] - mean) * Math.cos(angle);
+            im -= (profile[i] - mean) * Math.sin(angle);
+        }
+        const power = re * re + im * im;
+        total += power;
+        peak = Math.max(peak, power);
+    }
+    return total > 0 ? peak / total : 0;
+}
+
+// Luminance along a few horizontal and vertical scan lines through the garment.
+// Single lines rather than means, since a checkerboard averages out to a flat profile.
+function luminanceScanLines(gray, mask, width, height) {
+    const rows = [], columns = [];
+    [0.3, 0.4, 0.5, 0.6, 0.7].forEach(position => {
+        const y = Math.floor(height * position);
+        const x = Math.floor(width * position);
+        const row = [], column = [];
+        for (let i = 0; i < width; i++) {
+            if (!mask[y * width + i]) row.push(gray[y * width + i]);
+        }
+        for (let i = 0; i < height; i++) {
+            if (!mask[i * width + x]) column.push(gray[i * width + x]);
+        }
+        rows.push(row);
+        columns.push(column);
+    });
+    return { rows, columns };
+}
+
+function averagePeriodicity(lines) {
+    return lines.reduce((sum, line) => sum + periodicityStrength(line), 0) / lines.length;
+}
+
+// Number of coarse color buckets that each cover a meaningful part of the garment
+function countDistinctColors(data, mask, width, height) {
+    const buckets = new Map();
+    let total = 0;
+    for (let p = 0; p < width * height; p++) {
+        if (mask[p]) continue;
+        const i = p * 4;
+        const key = (data[i] >> 5) << 6 | (data[i + 1] >> 5) << 3 | (data[i + 2] >> 5);
+        buckets.set(key, (buckets.get(key) || 0) + 1);
+        total++;
+    }
+    let count = 0;
+    buckets.forEach(n => {
+        if (n >= total * 0.05) count++;
+    });
+    return count;
+}
+
+function measureTexture(pixels) {
+    const image = downscalePixels(pixels, PATTERN_SAMPLE_SIZE);
+    if (!image) return null;
+
+    const { data, width, height } = image;
+    const mask = computeBackgroundMask(data, width, height);
+    const gray = new Float32Array(width * height);
+    for (let p = 0; p < width * height; p++) {
+        const i = p * 4;
+        gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+
+    const edges = measureEdges(gray, mask, width, height);
+    const lines = luminanceScanLines(gray, mask, width, height);
+
+    return {
+        edgeDensity: edges.density,
+        orientation: edges.orientation,
+        centerShare: edges.centerShare,
+        // Repetition along rows comes from vertical lines and vice versa
+        rowPeriodicity: averagePeriodicity(lines.rows),
+        columnPeriodicity: averagePeriodicity(lines.columns),
+        colorCount: countDistinctColors(data, mask, width, height)
+    };
+}
+
+function classifyTexture(texture) {
+    if (!texture || texture.edgeDensity < PATTERN_SOLID_EDGE_DENSITY) return 'solid';
+
+    const { orientation, rowPeriodicity, columnPeriodicity } = texture;
+    const straight = orientation[0] + orientation[2];
+    const dominant = Math.max(...orientation);
+    const rowsRepeat = rowPeriodicity > PATTERN_PERIODIC_PEAK;
+    const columnsRepeat = columnPeriodicity > PATTERN_PERIODIC_PEAK;
+
+    // A motif concentrated on the chest reads as a print or logo
+    if (texture.centerShare > 0.6) return 'graphic';
+    // Horizontal and vertical lines repeating in both directions
+    if (rowsRepeat && columnsRepeat && orientation[0] > 0.25 && orientation[2] > 0.25) return 'checks';
+    // One dominant line direction (diagonal stripes repeat in both directions)
+    if ((rowsRepeat || columnsRepeat) && dominant > 0.5) return 'stripes';
+    // Scattered curved edges in several colors
+    if (texture.colorCount >= 4 && straight < 0.7) return 'floral';
+    return 'graphic';
+}
+
+// Detect the pattern from a garment photo's pixels; returns one of the PATTERN_LABELS keys
+export function detectPatterns(pixels) {
+    return classifyTexture(measureTexture(pixels));
+}
+
+// Pattern clash rule: one patterned piece with solids is ideal, two busy patterns compete
+export function scorePatternBalance(items) {
+    const known = items.filter(item => item.pattern);
+    const patterned = known.filter(item => item.pattern !== 'solid');
+
+    let score;
+    let balance;
+    if (known.length === 0) {
+        score = 0.7;
+        balance = 'unknown';
+    } else if (patterned.length === 0) {
+        score = 0.75;
+        balance = 'all-solid';
+    } else if (patterned.length === 1) {
+        score = 1;
+        balance = 'single-statement';
+    } else {
+        // Stripes with checks or two florals clash harder than a small graphic tee under a checked shirt
+        const graphics = patterned.filter(item => item.pattern === 'graphic').length;
+        score = Math.max(0.2, 0.55 - 0.15 * (patterned.length - 2) - (graphics === 0 ? 0.1 : 0));
+        balance = 'clash';
+    }
+
+    return { score, balance, patterned: patterned.map(item => item.pattern) };
+}
+
+// Text for the "Pattern Balance" part of a combination card
+export function describePatternBalance(result) {
+    switch (result.balance) {
+        case 'all-solid':
+            return 'All solid pieces: clean and easy, add texture or an accessory for interest.';
+        case 'single-statement':
+            return `The ${PATTERN_LABELS[result.patterned[0]].toLowerCase()} piece is the focal point while the solids keep it balanced.`;
+        case 'clash': {
+            const names = result.patterned.map(p => PATTERN_LABELS[p]).join(' and ').toLowerCase();
+            return `${names.charAt(0).toUpperCase() + names.slice(1)} compete for attention; swap one for a solid.`;
+        }
+        default:
+            return 'Pattern information not available for these items.';
+    }
+}
\ No newline at end of file
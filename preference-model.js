@@ -0,0 +1,112 @@
+// Personal preference model learned from like/dislike feedback
+// Logistic regression over sparse color, pattern and category pair features of an outfit.
+
+import { describeColorFamily } from './color-analysis.js';
+
+const PREFERENCE_LEARNING_RATE = 0.3;
+const PREFERENCE_EPOCHS = 60;
+const PREFERENCE_L2 = 0.01;
+const PREFERENCE_MAX_INFLUENCE = 0.35;   // Largest share of the outfit score the model can take
+const PREFERENCE_FULL_INFLUENCE_AT = 40; // Feedback events needed to reach that share
+
+// Label and weight of each feedback action
+export const FEEDBACK_ACTIONS = {
+    like: { label: 1, weight: 1 },
+    wore: { label: 1, weight: 2 },
+    dislike: { label: 0, weight: 1 },
+    never: { label: 0, weight: 3 }
+};
+
+function sortedPair(a, b) {
+    return [a, b].sort().join('|');
+}
+
+// Sparse feature map of an outfit; pair features are normalised so outfit size does not matter
+export function outfitFeatures(items) {
+    const features = {};
+    const add = (key, value) => {
+        features[key] = (features[key] || 0) + value;
+    };
+
+    const described = items.map(item => ({
+        category: item.category || 'unknown',
+        color: item.colors && item.colors.length > 0 ? describeColorFamily(item.colors[0].hex) : 'unknown',
+        pattern: item.pattern || 'unknown'
+    }));
+
+    described.forEach(item => {
+        add(`color:${item.color}`, 1 / described.length);
+        add(`pattern:${item.pattern}`, 1 / described.length);
+    });
+
+    const pairs = described.length * (described.length - 1) / 2;
+    for (let i = 0; i < described.length; i++) {
+        for (let j = i + 1; j < described.length; j++) {
+            const a = described[i];
+            const b = described[j];
+            add(`category-colors:${sortedPair(`${a.category}=${a.color}`, `${b.category}=${b.color}`)}`, 1 / pairs);
+            add(`colors:${sortedPair(a.color, b.color)}`, 1 / pairs);
+            add(`patterns:${sortedPair(a.pattern, b.pattern)}`, 1 / pairs);
+        }
+    }
+
+    return features;
+}
+
+export class PreferenceModel {
+    constructor(weights = {}, bias = 0, examples = 0) {
+        this.weights = weights;
+        this.bias = bias;
+        this.examples = examples;
+    }
+
+    static fromJSON(data) {
+        return data ? new PreferenceModel(data.weights, data.bias, data.examples) : new PreferenceModel();
+    }
+
+    toJSON() {
+        return { weights: this.weights, bias: this.bias, examples: this.examples };
+    }
+
+    logit(features) {
+        let z = this.bias;
+        Object.keys(features).forEach(key => {
+            z += (this.weights[key] || 0) * features[key];
+        });
+        return z;
+    }
+
+    // Probability (0-1) that the user likes an outfit with these features
+    predict(features) {
+        return 1 / (1 + Math.exp(-this.logit(features)));
+    }
+
+    // Share of the overall score the model may take, growing with the amount of feedback
+    influence() {
+        return PREFERENCE_MAX_INFLUENCE * Math.min(1, this.examples / PREFERENCE_FULL_INFLUENCE_AT);
+    }
+
+    // Retrain from scratch on every feedback event: [{ features, action }]
+    train(feedback) {
+        const examples = feedback.filter(event => FEEDBACK_ACTIONS[event.action]);
+        this.weights = {};
+        this.bias = 0;
+        this.examples = examples.length;
+        if (examples.length === 0) return this;
+
+        for (let epoch = 0; epoch < PREFERENCE_EPOCHS; epoch++) {
+            examples.forEach(event => {
+                const { label, weight } = FEEDBACK_ACTIONS[event.action];
+                const error = (this.predict(event.features) - label) * weight;
+
+                this.bias -= PREFERENCE_LEARNING_RATE * error;
+                Object.keys(event.features).forEach(key => {
+                    const current = this.weights[key] || 0;
+                    const gradient = error * event.features[key] + PREFERENCE_L2 * current;
+                    this.weights[key] = current - PREFERENCE_LEARNING_RATE * gradient;
+                });
+            });
+        }
+        return this;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,343 @@
+// Pluggable recommendation engines
+//
+// Every engine implements recommend(request, { signal }) and resolves with a ranked list of
+// outfits: [{ itemIds, scores: { score, rating, confidence, harmony?, pattern?, factors? }, colorAnalysis?, styleNotes? }].
+// request = { items, occasion, occasionRule?, clothingType, colorPreference, limit, conditions?, preferenceModel?,
+// blockedOutfits?, anchorIds? }, where items are wardrobe entries, occasionRule is the occasion's rule
+// (occasion-rules.js), conditions is { temperature, season } (either may be null),
+// preferenceModel is PreferenceModel#toJSON(), blockedOutfits are outfitKey() strings the
+// user asked never to see again and anchorIds are items every outfit must include.
+//
+// Built-in engines:
+//   LocalRecommendationEngine - the in-browser generator (outfit-generator.js) in a Web Worker,
+//                               which also runs the gap analysis (analyzeGaps),
+//                               or on the calling thread where there are no workers (e.g. Node)
+//   HttpRecommendationEngine  - POSTs the items and preferences to a backend endpoint
+
+import { generateOutfits } from './outfit-generator.js';
+import { analyzeWardrobeGaps } from './wardrobe-gaps.js';
+
+const HTTP_ENGINE_DEFAULTS = {
+    timeout: 15000,     // Per attempt, in milliseconds
+    retries: 2,         // Extra attempts after the first one
+    retryDelay: 500     // Doubled after every failed attempt
+};
+
+export class RecommendationError extends Error {
+    constructor(message, { status = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'RecommendationError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+function createAbortError() {
+    const error = new Error('Recommendation request was cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Only the data the generator needs; image sources stay on the main thread
+function toGeneratorItem(img) {
+    return {
+        id: img.id,
+        name: img.name,
+        category: img.category,
+        colors: img.colors,
+        pattern: img.pattern,
+        warmth: img.warmth,
+        formality: img.formality,
+        seasons: img.seasons,
+        occasions: img.occasions
+    };
+}
+
+export class RecommendationEngine {
+    recommend(request, options = {}) {
+        return Promise.reject(new Error(`${this.constructor.name} does not implement recommend()`));
+    }
+}
+
+export class LocalRecommendationEngine extends RecommendationEngine {
+    constructor({ workerUrl = new URL('./outfit-worker.js', import.meta.url) } = {}) {
+        super();
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();   // requestId -> { resolve, reject, fallback, onProgress, detach }
+    }
+
+    getWorker() {
+        if (!this.worker && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(this.workerUrl, { type: 'module' });
+                this.worker.addEventListener('message', e => this.receive(e.data));
+                this.worker.addEventListener('error', e => this.fallBack(e));
+            } catch (error) {
+                console.warn('Outfit worker unavailable, generating on the main thread:', error);
+            }
+        }
+        return this.worker;
+    }
+
+    // Run the generator in a Web Worker, falling back to the main thread where workers are unavailable
+    recommend(request, { signal } = {}) {
+        const items = request.items.map(toGeneratorItem);
+        const options = {
+            colorPreference: request.colorPreference,
+            occasionRule: request.occasionRule || null,
+            limit: request.limit,
+            conditions: request.conditions || null,
+            preferenceModel: request.preferenceModel || null,
+            blockedOutfits: request.blockedOutfits || [],
+            anchorIds: request.anchorIds || []
+        };
+
+        return this.run({ task: 'outfits', items, options }, () => ({ outfits: generateOutfits(items, options) }), { signal })
+            .then(data => data.outfits);
+    }
+
+    // The "What's missing?" report (wardrobe-gaps.js) in the same worker: it enumerates every
+    // outfit once per candidate addition, far too long to run on the main thread
+    analyzeGaps(items, rules, { signal, onProgress = null } = {}) {
+        const generatorItems = items.map(toGeneratorItem);
+        return this.run({ task: 'gaps', items: generatorItems, rules },
+            async () => ({ report: await analyzeWardrobeGaps(generatorItems, rules, { signal, onProgress }) }), { signal, onProgress })
+            .then(data => data.report);
+    }
+
+    // Posts message to the worker and resolves with its reply; fallback() builds the same reply on
+    // this thread when there is no worker. Every request shares the one worker.
+    run(message, fallback, { signal, onProgress = null } = {}) {
+        if (signal?.aborted) return Promise.reject(createAbortError());
+
+        const worker = this.getWorker();
+        if (!worker) {
+            return Promise.resolve(fallback());
+        }
+
+        const requestId = ++this.requestId;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.settle(requestId);
+                // The worker cannot be interrupted mid-run, so replace it, unless other requests are
+                // still waiting on it: then it is only asked to stop (the gap analysis checks) and
+                // its answer is dropped
+                if (this.pending.size === 0) {
+                    this.resetWorker();
+                } else {
+                    worker.postMessage({ requestId, task: 'cancel' });
+                }
+                reject(createAbortError());
+            };
+            const detach = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            this.pending.set(requestId, { resolve, reject, fallback, onProgress, detach });
+            if (signal) signal.addEventListener('abort', onAbort);
+            worker.postMessage({ requestId, ...message });
+        });
+    }
+
+    receive(data) {
+        const request = this.pending.get(data.requestId);
+        if (!request) return;
+        if (data.progress !== undefined) {
+            if (request.onProgress) request.onProgress(data.progress);
+            return;
+        }
+        this.settle(data.requestId);
+        if (data.error) {
+            request.reject(new RecommendationError(data.error));
+        } else {
+            request.resolve(data);
+        }
+    }
+
+    // The worker failed, e.g. opened from file:// where workers cannot load: everything waiting on
+    // it is answered on this thread instead
+    fallBack(e) {
+        e.preventDefault();
+        const requests = [...this.pending.values()];
+        this.resetWorker();
+        requests.forEach(request => {
+            request.detach();
+            request.resolve(request.fallback());
+        });
+    }
+
+    settle(requestId) {
+        const request = this.pending.get(requestId);
+        if (!request) return;
+        request.detach();
+        this.pending.delete(requestId);
+    }
+
+    resetWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.pending.clear();
+    }
+}
+
+export class HttpRecommendationEngine extends RecommendationEngine {
+    constructor({ endpoint, timeout, retries, retryDelay } = {}) {
+        super();
+        if (!endpoint) throw new Error('HttpRecommendationEngine needs an endpoint');
+        this.endpoint = endpoint;
+        this.timeout = timeout ?? HTTP_ENGINE_DEFAULTS.timeout;
+        this.retries = retries ?? HTTP_ENGINE_DEFAULTS.retries;
+        this.retryDelay = retryDelay ?? HTTP_ENGINE_DEFAULTS.retryDelay;
+    }
+
+    async recommend(request, { signal } = {}) {
+        const body = JSON.stringify(await this.buildPayload(request));
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (signal?.aborted) throw createAbortError();
+            if (attempt > 0) {
+                await this.wait(this.retryDelay * Math.pow(2, attempt - 1), signal);
+            }
+
+            try {
+                const data = await this.post(body, signal);
+                return this.parseResponse(data);
+            } catch (error) {
+                if (error.name === 'AbortError' || !error.retryable) throw error;
+                lastError = error;
+                console.warn(`Recommendation request failed (attempt ${attempt + 1}):`, error.message);
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Request body: preferences plus every item's metadata and image as a data URL
+    async buildPayload(request) {
+        const items = await Promise.all(request.items.map(async img => ({
+            id: img.id,
+            name: img.name,
+            category: img.category,
+            colors: img.colors,
+            pattern: img.pattern,
+            warmth: img.warmth,
+            formality: img.formality || null,
+            seasons: img.seasons || [],
+            occasions: img.occasions || [],
+            tags: img.tags || [],
+            image: img.file ? await this.readAsDataURL(img.file) : null
+        })));
+
+        return {
+            occasion: request.occasion,
+            occasionRule: request.occasionRule || null,
+            clothingType: request.clothingType,
+            colorPreference: request.colorPreference,
+            conditions: request.conditions || null,
+            anchorIds: request.anchorIds || [],
+            limit: request.limit,
+            items
+        };
+    }
+
+    readAsDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // One attempt, aborted by either the caller's signal or the per-attempt timeout
+    async post(body, signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+        const forwardAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', forwardAbort);
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                // Server errors and rate limiting are worth retrying, client errors are not
+                const retryable = response.status >= 500 || response.status === 429;
+                throw new RecommendationError(`Recommendation server responded with ${response.status}`, {
+                    status: response.status,
+                    retryable
+                });
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error instanceof RecommendationError) throw error;
+            if (error.name === 'AbortError') {
+                if (timedOut) {
+                    throw new RecommendationError(`Recommendation request timed out after ${this.timeout}ms`, { retryable: true });
+                }
+                throw createAbortError();
+            }
+            // Network failure
+            throw new RecommendationError(error.message, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', forwardAbort);
+        }
+    }
+
+    // Response body: { combinations: [{ itemIds, score, rating, confidence, colorAnalysis?, styleNotes? }] }
+    parseResponse(data) {
+        if (!data || !Array.isArray(data.combinations)) {
+            throw new RecommendationError('Recommendation response is missing "combinations"');
+        }
+
+        return data.combinations.map((combination, i) => {
+            if (!Array.isArray(combination.itemIds) || combination.itemIds.length === 0) {
+                throw new RecommendationError(`Combination ${i + 1} has no itemIds`);
+            }
+            const score = Number(combination.score) || 0;
+            return {
+                itemIds: combination.itemIds,
+                scores: {
+                    score,
+                    rating: Math.min(5, Math.max(1, Math.round(combination.rating ?? (1 + score * 4)))),
+                    confidence: Math.min(100, Math.max(0, Math.round(combination.confidence ?? 50)))
+                },
+                colorAnalysis: combination.colorAnalysis || null,
+                styleNotes: combination.styleNotes || null
+            };
+        });
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// The engine for a configured endpoint; an empty endpoint means local generation
+export function createRecommendationEngine(endpoint = '') {
+    return endpoint ? new HttpRecommendationEngine({ endpoint }) : new LocalRecommendationEngine();
+}
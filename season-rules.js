@@ -0,0 +1,112 @@
+// Season and temperature rules for outfit generation
+// Items carry a warmth level (1 = very light ... 5 = very warm) and optional seasons.
+
+export const WARDROBE_SEASONS = [
+    { value: 'spring', label: 'Spring' },
+    { value: 'summer', label: 'Summer' },
+    { value: 'autumn', label: 'Autumn' },
+    { value: 'winter', label: 'Winter' }
+];
+
+export const WARMTH_LEVELS = [
+    { value: 1, label: 'Very light' },
+    { value: 2, label: 'Light' },
+    { value: 3, label: 'Medium' },
+    { value: 4, label: 'Warm' },
+    { value: 5, label: 'Very warm' }
+];
+
+const LAYERING_THRESHOLD = 15;   // °C below which an outerwear layer is required
+const HOT_THRESHOLD = 24;        // °C above which outerwear and warm pieces are left out
+const COLD_THRESHOLD = 5;        // °C below which very light pieces are left out
+export const SEASON_SCORE_WEIGHT = 0.2; // Share of the outfit score taken by season fit
+
+export function defaultWarmth(category) {
+    return category === 'outerwear' ? 4 : 2;
+}
+
+function itemWarmth(item) {
+    return item.warmth || defaultWarmth(item.category);
+}
+
+// Meteorological season for a date; flipped south of the equator
+export function seasonForDate(date = new Date(), latitude = 0) {
+    const seasons = ['winter', 'spring', 'summer', 'autumn'];
+    let index = Math.floor(((date.getMonth() + 1) % 12) / 3);
+    if (latitude < 0) index = (index + 2) % 4;
+    return seasons[index];
+}
+
+// Hard per-item rule: is this piece wearable at all in these conditions?
+export function isItemWeatherAppropriate(item, conditions) {
+    if (!conditions || conditions.temperature === null || conditions.temperature === undefined) return true;
+    if (item.category === 'footwear') return true;
+
+    const warmth = itemWarmth(item);
+    if (conditions.temperature >= HOT_THRESHOLD && warmth >= 4) return false;
+    if (conditions.temperature < COLD_THRESHOLD && warmth <= 1) return false;
+    return true;
+}
+
+// Does the outfit need (or forbid) an outerwear layer?
+export function layeringRequirement(conditions) {
+    if (!conditions || conditions.temperature === null || conditions.temperature === undefined) return 'optional';
+    if (conditions.temperature < LAYERING_THRESHOLD) return 'required';
+    if (conditions.temperature >= HOT_THRESHOLD) return 'none';
+    return 'optional';
+}
+
+// Total clothing warmth that feels right at a temperature
+function targetWarmth(temperature) {
+    return Math.min(12, Math.max(2, 4 + (20 - temperature) * 0.3));
+}
+
+// Season fit of a whole outfit (0-1) with the reason it was scored that way
+export function scoreSeasonFit(items, conditions) {
+    if (!conditions) return null;
+
+    let score = 1;
+    let reason = 'weather';
+
+    if (conditions.season) {
+        const matching = items.filter(item => !item.seasons || item.seasons.length === 0 ||
+            item.seasons.includes(conditions.season)).length;
+        score = matching / items.length;
+        reason = 'season';
+    }
+
+    let warmth = null;
+    if (conditions.temperature !== null && conditions.temperature !== undefined) {
+        warmth = items
+            .filter(item => item.category !== 'footwear')
+            .reduce((sum, item) => sum + itemWarmth(item), 0);
+        const target = targetWarmth(conditions.temperature);
+        const warmthScore = Math.max(0, 1 - Math.abs(warmth - target) / 4);
+        score = conditions.season ? (score + warmthScore) / 2 : warmthScore;
+        reason = warmth > target + 1 ? 'too-warm' : warmth < target - 1 ? 'too-light' : 'comfortable';
+    }
+
+    return { score, warmth, reason };
+}
+
+// Text for the card, e.g. "Layered for 8°C."
+export function describeSeasonFit(result, conditions) {
+    if (!result || !conditions) return '';
+
+    const weather = conditions.temperature !== null && conditions.temperature !== undefined
+        ? `${Math.round(conditions.temperature)}°C`
+        : conditions.season;
+
+    switch (result.reason) {
+        case 'comfortable':
+            return `Comfortable warmth for ${weather}.`;
+        case 'too-warm':
+            return `May feel warm at ${weather}; lighter pieces would suit better.`;
+        case 'too-light':
+            return `On the light side for ${weather}; consider an extra layer.`;
+        default:
+            return result.score >= 0.99
+                ? `All pieces suit ${weather}.`
+                : `Some pieces are not marked for ${weather}.`;
+    }
+}
\ No newline at end of file
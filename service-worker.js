@@ -0,0 +1,109 @@
+// Service worker: the app shell offline, and photos shared into the app from other apps
+//
+// Shell files are answered from the cache and refreshed in the background, so the app opens
+// without a connection and picks up changes on the next visit. The wardrobe itself lives in
+// IndexedDB and needs nothing from here. Photos shared through the manifest's share_target
+// arrive as a POST; they are parked in SHARED_PHOTOS_CACHE and the page takes them from there
+// (app-shell.js). Loaded as a classic script, so the cache names are repeated there.
+
+const SHELL_CACHE = 'style-matcher-shell-v2';
+const SHARED_PHOTOS_CACHE = 'style-matcher-shared-photos';
+const SHARE_TARGET_PATH = '/share-target';
+
+// Bump SHELL_CACHE when this list changes
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'app.js',
+    'app-shell.js',
+    'camera-capture.js',
+    'color-analysis.js',
+    'color-harmony.js',
+    'dom-builder.js',
+    'gap-report.js',
+    'garment-classifier.js',
+    'image-pipeline.js',
+    'image-similarity.js',
+    'occasion-editor.js',
+    'occasion-rules.js',
+    'outfit-calendar.js',
+    'outfit-explanation.js',
+    'outfit-factors.js',
+    'outfit-generator.js',
+    'outfit-planner.js',
+    'outfit-preview.js',
+    'outfit-share.js',
+    'outfit-worker.js',
+    'pattern-detection.js',
+    'preference-model.js',
+    'recommendation-engine.js',
+    'season-rules.js',
+    'style-engine.js',
+    'wardrobe-archive.js',
+    'wardrobe-gaps.js',
+    'wardrobe-panel.js',
+    'wardrobe-store.js',
+    'weather-provider.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)));
+    self.skipWaiting();
+});
+
+// Drop shell caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('style-matcher-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (event.request.method === 'POST' && url.pathname.endsWith(SHARE_TARGET_PATH)) {
+        event.respondWith(receiveSharedPhotos(event.request));
+    } else if (event.request.method === 'GET') {
+        event.respondWith(fromShell(event));
+    }
+});
+
+// Cached copy first, refreshed in the background; the network when the file is not cached
+async function fromShell(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Every navigation (share links, ?shared-photos=…) is the one page
+    const navigate = event.request.mode === 'navigate';
+    const key = navigate ? './' : event.request;
+    const cached = await cache.match(key, { ignoreSearch: navigate });
+
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok && !response.redirected) cache.put(key, response.clone());
+        return response;
+    });
+
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+}
+
+// Park the shared photos, then open the app, which adds them to the wardrobe
+async function receiveSharedPhotos(request) {
+    const data = await request.formData();
+    const photos = data.getAll('photos').filter(photo => photo instanceof File);
+
+    const cache = await caches.open(SHARED_PHOTOS_CACHE);
+    const stamp = Date.now();
+    await Promise.all(photos.map((photo, i) => cache.put(`shared-photos/${stamp}-${i}`, new Response(photo, {
+        headers: { 'Content-Type': photo.type, 'X-File-Name': encodeURIComponent(photo.name) }
+    }))));
+
+    return Response.redirect(new URL(`./?shared-photos=${photos.length}`, self.location).href, 303);
+}
@@ -0,0 +1,717 @@
+// StyleEngine: the wardrobe, its analysis and the outfit recommendations, without any DOM
+//
+// Everything the page does with clothes goes through this class, so it runs the same in the
+// browser, in Node (for tests) and embedded in other apps. The page itself (app.js) only renders
+// the engine's state and turns user input into engine calls.
+//
+//   const engine = new StyleEngine({ store, recommendationEngine, readPixels, maxCombinations });
+//   await engine.load();                                  // restore from the store, if any
+//   const analysis = engine.analyze(pixels, 'blue-shirt.jpg');
+//   const item = await engine.addItem({ name: 'blue-shirt.jpg', file, ...analysis });
+//   const combinations = await engine.recommend({ occasion: 'casual' });
+//
+// Items are plain objects: { id, name, file, thumbnail, colors, category, categorySource, pattern,
+// warmth, formality, perceptualHash, tags, seasons, occasions, dateAdded }, where file and
+// thumbnail are the photo blobs (null when the embedding app keeps photos itself).
+// pixels is an RGBA buffer { data, width, height }, e.g. ImageData or a decoded PNG.
+//
+// Options:
+//   store                - optional persistence with the WardrobeStore interface (wardrobe-store.js);
+//                          without one, everything is kept in memory
+//   recommendationEngine - any engine from recommendation-engine.js; defaults to local generation
+//   readPixels(item)     - optional, resolves with an item's pixels; used to hash items saved
+//                          before duplicate detection
+//   maxCombinations      - outfits per recommend() call
+//
+// Events (CustomEvent, with the changed data as detail):
+//   itemschange     - items were added, edited or removed       detail: { items }
+//   pinschange      - anchors, exclusions or the pool changed    detail: { anchorIds, excludedIds, generatorPool }
+//   calendarchange  - an outfit was planned or unplanned        detail: { calendar }
+//   feedback        - a feedback event was recorded or removed  detail: { event, removed? }
+//   occasionschange - occasion rules were edited                detail: { occasionRules }
+//   recommendations - recommend() produced combinations         detail: { request, combinations }
+//
+// Lists are replaced rather than mutated, so read them from the engine (engine.items) instead
+// of keeping a reference.
+
+import { describeColor, extractDominantColors } from './color-analysis.js';
+import { describeColorHarmony } from './color-harmony.js';
+import { classifyGarment, classifyGarmentByName, sharesOutfitSlot } from './garment-classifier.js';
+import { computePerceptualHash, findMatchingGarment } from './image-similarity.js';
+import { breaksOccasionRule, findOccasionRule, mergeOccasionRules, validateOccasionRule } from './occasion-rules.js';
+import { explainCompanion, explainScoreBreakdown } from './outfit-explanation.js';
+import { outfitKey, scoreOutfit } from './outfit-generator.js';
+import { PLANNER_DEFAULT_REPEAT_DAYS, isItemForOccasion, planOutfits, recentlyWornItemIds, toDateKey } from './outfit-planner.js';
+import { describePatternBalance, detectPatterns } from './pattern-detection.js';
+import { PreferenceModel, outfitFeatures } from './preference-model.js';
+import { LocalRecommendationEngine } from './recommendation-engine.js';
+import { defaultWarmth, describeSeasonFit } from './season-rules.js';
+import { createWardrobeArchive, hashBlob, planArchiveImport } from './wardrobe-archive.js';
+import { WARDROBE_DEFAULT_QUOTA, WARDROBE_MAX_QUOTA } from './wardrobe-store.js';
+
+export class WardrobeFullError extends Error {
+    constructor(quota) {
+        super(`The wardrobe is full (${quota} items)`);
+        this.name = 'WardrobeFullError';
+        this.quota = quota;
+    }
+}
+
+// Item fields written to the store; anything else on an item belongs to the embedding app
+const ITEM_RECORD_FIELDS = ['id', 'name', 'thumbnail', 'colors', 'category', 'categorySource', 'pattern', 'warmth',
+    'formality', 'perceptualHash', 'tags', 'seasons', 'occasions', 'dateAdded'];
+
+export function toWardrobeRecord(item) {
+    const record = { blob: item.file };
+    ITEM_RECORD_FIELDS.forEach(field => { record[field] = item[field]; });
+    return record;
+}
+
+export function fromWardrobeRecord(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        file: record.blob,
+        thumbnail: record.thumbnail || null,
+        colors: record.colors || [],
+        category: record.category,
+        categorySource: record.categorySource,
+        pattern: record.pattern || null,
+        warmth: record.warmth || defaultWarmth(record.category),
+        formality: record.formality || null,
+        perceptualHash: record.perceptualHash || null,
+        tags: record.tags || [],
+        seasons: record.seasons || [],
+        occasions: record.occasions || [],
+        dateAdded: record.dateAdded
+    };
+}
+
+export class StyleEngine extends EventTarget {
+    constructor({ store = null, recommendationEngine = new LocalRecommendationEngine(), readPixels = null,
+        maxCombinations = 6 } = {}) {
+        super();
+        this.store = store;
+        this.recommendationEngine = recommendationEngine;
+        this.readPixels = readPixels;
+        this.maxCombinations = maxCombinations;
+        this.items = [];
+        this.quota = WARDROBE_DEFAULT_QUOTA;
+        this.feedback = [];
+        this.calendar = []; // Planned outfits: [{ date, itemIds, occasion, dateAdded }]
+        this.preferenceModel = new PreferenceModel();
+        this.generatorPool = null; // Set of item ids the generator may use, null for all
+        this.anchorIds = new Set();   // Items every outfit must include ("build around this item")
+        this.excludedIds = new Set(); // Items never used in outfits
+        this.customOccasionRules = []; // User-defined occasions and edited built-in ones
+        this.occasionRules = mergeOccasionRules();
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // Run a store operation; without a store, or when it fails, the in-memory state still counts
+    async persist(description, operation) {
+        if (!this.store) return undefined;
+        try {
+            return await operation(this.store);
+        } catch (error) {
+            console.warn(`Could not ${description}:`, error);
+            return undefined;
+        }
+    }
+
+    // Run a store operation the user is told about; rejects when it fails, before anything in
+    // memory has changed, so the page can say the change was not saved
+    async persistOrReject(description, operation) {
+        if (!this.store) return undefined;
+        try {
+            return await operation(this.store);
+        } catch (error) {
+            console.warn(`Could not ${description}:`, error);
+            throw error;
+        }
+    }
+
+    // Restore the saved wardrobe. Rejects when the store cannot be read; the engine then keeps
+    // working in memory only.
+    async load() {
+        if (!this.store) return;
+        try {
+            this.quota = await this.store.getQuota();
+            const records = await this.store.getAll();
+            // Keep anything added while the wardrobe was still loading
+            const pending = this.items.filter(item => !records.some(record => record.id === item.id));
+            this.items = [...records.map(fromWardrobeRecord), ...pending];
+            // Skip events the model cannot learn from (imported without features by older versions)
+            this.feedback = (await this.store.getFeedback())
+                .filter(event => event.features && typeof event.features === 'object');
+            this.preferenceModel.train(this.feedback);
+            this.calendar = await this.store.getCalendar();
+            this.customOccasionRules = (await this.store.getOccasionRules())
+                .filter(rule => validateOccasionRule(rule) === null);
+            this.occasionRules = mergeOccasionRules(this.customOccasionRules);
+        } catch (error) {
+            this.store = null;
+            throw error;
+        } finally {
+            this.emit('occasionschange', { occasionRules: this.occasionRules });
+            this.emit('itemschange', { items: this.items });
+            this.emit('calendarchange', { calendar: this.calendar });
+        }
+    }
+
+    // Wardrobe size, between 1 and WARDROBE_MAX_QUOTA items. Items beyond it are kept; only new ones are refused.
+    async setQuota(quota) {
+        this.quota = Math.min(WARDROBE_MAX_QUOTA, Math.max(1, Math.floor(quota)));
+        await this.persist('save the wardrobe size', store => store.setQuota(this.quota));
+    }
+
+    isFull() {
+        return this.items.length >= this.quota;
+    }
+
+    // Colors, category, pattern and perceptual hash of a garment photo. Without pixels (e.g. the
+    // photo could not be decoded) only the category is guessed, from the name.
+    analyze(pixels, name = '') {
+        if (!pixels) {
+            const category = classifyGarmentByName(name);
+            return {
+                colors: [],
+                category: category || 'top',
+                categorySource: category ? 'name' : 'default',
+                pattern: null,
+                perceptualHash: null
+            };
+        }
+
+        const garment = classifyGarment(pixels, name);
+        return {
+            colors: extractDominantColors(pixels),
+            category: garment.category,
+            categorySource: garment.source,
+            pattern: detectPatterns(pixels),
+            perceptualHash: computePerceptualHash(pixels)
+        };
+    }
+
+    // A complete item from some of its fields; nothing is added to the wardrobe
+    createItem(fields = {}) {
+        const category = fields.category || 'top';
+        return {
+            name: '',
+            file: null,
+            thumbnail: null,
+            colors: [],
+            categorySource: 'default',
+            pattern: null,
+            formality: null,
+            perceptualHash: null,
+            tags: [],
+            seasons: [],
+            occasions: [],
+            dateAdded: Date.now(),
+            ...fields,
+            id: fields.id ?? Date.now() + Math.random(),
+            category,
+            warmth: fields.warmth || defaultWarmth(category)
+        };
+    }
+
+    // Add an item (missing fields get defaults) and resolve with it.
+    // Rejects with WardrobeFullError when the quota is reached.
+    async addItem(fields) {
+        if (this.isFull()) throw new WardrobeFullError(this.quota);
+
+        const item = this.createItem(fields);
+        await this.persist('save item to the wardrobe', store => store.add(toWardrobeRecord(item)));
+        this.items = [...this.items, item];
+        this.emit('itemschange', { items: this.items });
+        return item;
+    }
+
+    getItem(id) {
+        return this.items.find(item => item.id == id) || null;
+    }
+
+    // Edit an item's metadata (category, tags, ...) and persist it
+    async updateItem(id, changes) {
+        const item = this.getItem(id);
+        if (!item) return null;
+        Object.assign(item, changes);
+
+        const { file, ...stored } = changes;
+        if ('file' in changes) stored.blob = file;
+        await this.persist('save item changes', store => store.update(item.id, stored));
+        this.emit('itemschange', { items: this.items });
+        return item;
+    }
+
+    setItemCategory(id, category) {
+        return this.updateItem(id, { category: category, categorySource: 'user' });
+    }
+
+    async removeItem(id) {
+        const item = this.getItem(id);
+        if (!item) return;
+
+        this.items = this.items.filter(other => other !== item);
+        this.anchorIds.delete(item.id);
+        this.excludedIds.delete(item.id);
+        if (this.generatorPool) {
+            this.generatorPool.delete(item.id);
+            if (this.generatorPool.size === 0) this.generatorPool = null;
+        }
+        this.emit('itemschange', { items: this.items });
+
+        await this.persist('remove item from the wardrobe', store => store.remove(item.id));
+    }
+
+    // Remove every item, planned outfit and feedback event
+    async clear() {
+        this.items = [];
+        this.calendar = [];
+        this.feedback = [];
+        this.generatorPool = null;
+        this.anchorIds.clear();
+        this.excludedIds.clear();
+        this.preferenceModel.train(this.feedback);
+
+        await this.persist('clear the wardrobe', store => store.clear());
+        this.emit('itemschange', { items: this.items });
+        this.emit('calendarchange', { calendar: this.calendar });
+    }
+
+    // Content hash of an item's photo, computed once per session
+    async getImageHash(item) {
+        if (!item.imageHash) item.imageHash = await hashBlob(item.file);
+        return item.imageHash;
+    }
+
+    // Items saved before duplicate detection get their hash the first time it is needed
+    async getPerceptualHash(item) {
+        if (!item.perceptualHash && this.readPixels) {
+            try {
+                const pixels = await this.readPixels(item);
+                if (pixels) await this.updateItem(item.id, { perceptualHash: computePerceptualHash(pixels) });
+            } catch (error) {
+                console.warn('Could not hash item image:', error);
+            }
+        }
+        return item.perceptualHash;
+    }
+
+    // The item an upload (an item not yet added) duplicates: { item, match: 'duplicate' | 'similar', distance } or null
+    async findMatchingItem(upload) {
+        if (!upload.perceptualHash) return null;
+        for (const item of this.items) {
+            await this.getPerceptualHash(item);
+        }
+        return findMatchingGarment(upload, this.items);
+    }
+
+    // What the user set on the matching garment carries over to the new photo
+    reuseItemDetails(upload, source) {
+        ['warmth', 'formality', 'tags', 'seasons', 'occasions'].forEach(field => {
+            upload[field] = Array.isArray(source[field]) ? [...source[field]] : source[field];
+        });
+        if (source.categorySource === 'user') {
+            upload.category = source.category;
+            upload.categorySource = 'user';
+        }
+    }
+
+    // The upload's photo takes the existing item's place; its id, details and history stay
+    async replaceItemPhoto(existing, upload) {
+        existing.imageHash = null;
+        return this.updateItem(existing.id, {
+            file: upload.file,
+            thumbnail: upload.thumbnail,
+            colors: upload.colors,
+            pattern: upload.pattern,
+            perceptualHash: upload.perceptualHash
+        });
+    }
+
+    // Keep one item with the existing photo, filling in what only the upload knows
+    async mergeDuplicate(existing, upload) {
+        const changes = {};
+        if ((!existing.colors || existing.colors.length === 0) && upload.colors.length > 0) changes.colors = upload.colors;
+        if (!existing.pattern && upload.pattern) changes.pattern = upload.pattern;
+        if (existing.categorySource === 'default' && upload.categorySource !== 'default') {
+            changes.category = upload.category;
+            changes.categorySource = upload.categorySource;
+        }
+        if (Object.keys(changes).length > 0) await this.updateItem(existing.id, changes);
+        return existing;
+    }
+
+    emitPins() {
+        this.emit('pinschange', { anchorIds: this.anchorIds, excludedIds: this.excludedIds, generatorPool: this.generatorPool });
+    }
+
+    // Anchor an item, exclude it, or clear its pin (kind = 'anchor' | 'exclude'). An outfit holds
+    // one item per slot, so a new anchor replaces the anchors it competes with (e.g. a second top,
+    // or a dress for a top); returns the items it replaced.
+    togglePin(id, kind) {
+        const target = kind === 'anchor' ? this.anchorIds : this.excludedIds;
+        const other = kind === 'anchor' ? this.excludedIds : this.anchorIds;
+        let replaced = [];
+        if (target.has(id)) {
+            target.delete(id);
+        } else {
+            const item = this.getItem(id);
+            if (kind === 'anchor' && item) {
+                replaced = this.getAnchorItems().filter(anchor => sharesOutfitSlot(anchor, item));
+                replaced.forEach(anchor => this.anchorIds.delete(anchor.id));
+            }
+            target.add(id);
+            other.delete(id);
+        }
+        this.emitPins();
+        return replaced;
+    }
+
+    clearPins() {
+        this.anchorIds.clear();
+        this.excludedIds.clear();
+        this.emitPins();
+    }
+
+    getAnchorItems() {
+        return this.items.filter(item => this.anchorIds.has(item.id));
+    }
+
+    // Restrict the generator to a chosen subset of the wardrobe ("only pick from these")
+    setGeneratorPool(itemIds) {
+        this.generatorPool = itemIds && itemIds.length > 0 ? new Set(itemIds) : null;
+        this.emitPins();
+    }
+
+    getGeneratorItems() {
+        if (!this.generatorPool) return this.items;
+        return this.items.filter(item => this.generatorPool.has(item.id));
+    }
+
+    getOccasionRule(id) {
+        return findOccasionRule(this.occasionRules, id);
+    }
+
+    async setCustomOccasionRules(rules) {
+        this.customOccasionRules = rules;
+        this.occasionRules = mergeOccasionRules(rules);
+        await this.persist('save occasions', store => store.setOccasionRules(rules));
+        this.emit('occasionschange', { occasionRules: this.occasionRules });
+    }
+
+    // Add a custom occasion, or replace a custom or built-in one with the same id
+    saveOccasionRule(rule) {
+        const others = this.customOccasionRules.filter(custom => custom.id !== rule.id);
+        return this.setCustomOccasionRules([...others, rule]);
+    }
+
+    // Delete a custom occasion; for a built-in one this restores its default rule
+    removeOccasionRule(id) {
+        return this.setCustomOccasionRules(this.customOccasionRules.filter(custom => custom.id !== id));
+    }
+
+    // Ranked combinations for request = { occasion, clothingType?, colorPreference?, conditions?,
+    // repeatDays?, date? }. Leaves out excluded items, items worn within repeatDays of date and items
+    // tagged only for other occasions; anchored items are always offered since every outfit has to
+    // include them.
+    async recommend(request, { signal } = {}) {
+        const { occasion, clothingType = '', colorPreference = '', conditions = null,
+            repeatDays = PLANNER_DEFAULT_REPEAT_DAYS, date = new Date() } = request;
+
+        const recent = recentlyWornItemIds(this.getWearHistory(), toDateKey(date), repeatDays);
+        const anchors = this.getAnchorItems();
+        const items = this.getGeneratorItems()
+            .filter(item => !this.anchorIds.has(item.id) && !this.excludedIds.has(item.id) &&
+                isItemForOccasion(item, occasion) && !recent.has(item.id));
+
+        const anchorIds = anchors.map(item => item.id);
+        const outfits = await this.requestOutfits({
+            items: [...anchors, ...items], occasion, clothingType, colorPreference, conditions, anchorIds
+        }, signal);
+        const combinations = outfits.map((outfit, i) =>
+            this.createCombination(i + 1, { ...outfit, anchorIds }, occasion, clothingType, colorPreference, conditions));
+
+        this.emit('recommendations', { request, combinations });
+        return combinations;
+    }
+
+    // Ranked outfits from the recommendation engine with their items attached as images
+    async requestOutfits({ items, occasion, clothingType = '', colorPreference = '', conditions = null,
+        blockedOutfits = [], anchorIds = [] }, signal) {
+        if (items.length === 0) return [];
+
+        const blocked = new Set([...this.getBlockedOutfits(), ...blockedOutfits]);
+        const occasionRule = this.getOccasionRule(occasion);
+        const outfits = await this.recommendationEngine.recommend({
+            items: items,
+            occasion: occasion,
+            occasionRule: occasionRule,
+            clothingType: clothingType,
+            colorPreference: colorPreference,
+            conditions: conditions,
+            limit: this.maxCombinations,
+            preferenceModel: this.preferenceModel.toJSON(),
+            blockedOutfits: [...blocked],
+            anchorIds: anchorIds
+        }, { signal });
+
+        return outfits
+            .map(outfit => ({ ...outfit, images: outfit.itemIds.map(id => this.items.find(item => item.id === id)) }))
+            // Ignore outfits referring to unknown items, ones the user never wants to see and,
+            // from engines that ignore anchors or occasion rules, ones missing an anchored item
+            // or breaking the rule
+            .filter(outfit => outfit.images.every(Boolean) && !blocked.has(outfitKey(outfit.images)) &&
+                anchorIds.every(id => outfit.itemIds.includes(id)) && !breaksOccasionRule(outfit.images, occasionRule));
+    }
+
+    createCombination(index, outfit, occasion, clothingType, colorPreference, conditions) {
+        const selectedImages = outfit.images;
+        const scores = outfit.scores;
+        const occasionRule = this.getOccasionRule(occasion);
+
+        // Remote engines may only send a rating; describe the outfit with the local rules
+        const details = scores.factors ? scores : scoreOutfit(selectedImages, {
+            colorPreference: colorPreference || (occasionRule ? occasionRule.paletteBias : ''),
+            occasionRule, conditions, preferenceModel: this.preferenceModel
+        });
+
+        // Generate analysis based on preferences
+        const colorAnalysis = outfit.colorAnalysis || this.generateColorAnalysis(details.harmony, colorPreference, selectedImages);
+        const patternAnalysis = describePatternBalance(details.pattern);
+        const weatherNote = describeSeasonFit(details.season, conditions);
+        const styleNotes = (outfit.styleNotes || this.generateStyleNotes(occasion, clothingType, index)) +
+            (weatherNote ? ' ' + weatherNote : '');
+
+        // When built around anchored items, say why each other piece was chosen
+        const anchors = selectedImages.filter(img => (outfit.anchorIds || []).includes(img.id));
+        const companionNotes = anchors.length > 0
+            ? selectedImages.filter(img => !anchors.includes(img)).map(img => explainCompanion(img, anchors))
+            : [];
+
+        return {
+            id: index,
+            title: `Combination ${index}`,
+            occasion: occasion,
+            clothingType: clothingType,
+            colorPreference: colorPreference,
+            conditions: conditions,
+            rating: scores.rating,
+            confidence: scores.confidence,
+            scores: scores,
+            images: selectedImages,
+            colorAnalysis: colorAnalysis,
+            patternAnalysis: patternAnalysis,
+            styleNotes: styleNotes,
+            companionNotes: companionNotes,
+            breakdown: explainScoreBreakdown(selectedImages, details, { occasionRule, conditions })
+        };
+    }
+
+    generateColorAnalysis(harmony, colorPreference, images) {
+        const analysis = describeColorHarmony(harmony, colorPreference);
+
+        // Name the actual main color of each item
+        const names = [...new Set(images
+            .filter(img => img.colors && img.colors.length > 0)
+            .map(img => describeColor(img.colors[0].hex)))];
+
+        if (names.length === 0) return analysis;
+
+        const tones = names.length > 1
+            ? names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1]
+            : names[0];
+        return `Dominant tones: ${tones}. ${analysis}`;
+    }
+
+    generateStyleNotes(occasion, clothingType, index = 1) {
+        const rule = this.getOccasionRule(occasion);
+        const notes = rule ? rule.styleNotes : [];
+
+        const typeNotes = {
+            'shirt': 'Classic shirt styling adds sophistication',
+            't-shirt': 'Casual t-shirt keeps the look relaxed and comfortable',
+            'pants': 'Well-fitted pants create a polished silhouette',
+            'jeans': 'Denim adds a casual, versatile element',
+            'dress': 'Dress creates an instantly put-together appearance',
+            'skirt': 'Skirt adds feminine flair and movement',
+            'jacket': 'Layering piece adds structure and refinement',
+            'sweater': 'Cozy sweater brings warmwarmth and texture'
+        };
+
+        // Rotate through the notes by rank so results stay reproducible
+        let note = notes[(index - 1) % notes.length] ||
+                   'Stylish combination perfect for your selected occasion';
+
+        if (clothingType && typeNotes[clothingType]) {
+            note += '. ' + typeNotes[clothingType] + '.';
+        }
+
+        return note;
+    }
+
+    // Everything planned on the calendar plus every "wore it" feedback event
+    getWearHistory() {
+        const planned = this.calendar.map(entry => ({ date: entry.date, itemIds: entry.itemIds, planned: true }));
+        const worn = this.feedback
+            .filter(event => event.action === 'wore')
+            .map(event => ({ date: toDateKey(new Date(event.date)), itemIds: event.itemIds, planned: false }));
+        return [...planned, ...worn];
+    }
+
+    getCalendarEntry(date) {
+        return this.calendar.find(entry => entry.date === date) || null;
+    }
+
+    // Put an outfit on a calendar day, replacing whatever was planned there. Rejects when the
+    // store cannot save it.
+    async planOutfit(date, itemIds, occasion) {
+        const entry = { date, itemIds, occasion: occasion || '', dateAdded: Date.now() };
+        await this.persistOrReject('save the planned outfit', store => store.putCalendarEntry(entry));
+
+        this.calendar = [...this.calendar.filter(existing => existing.date !== date), entry];
+        this.emit('calendarchange', { calendar: this.calendar });
+    }
+
+    // Rejects when the store cannot remove the entry
+    async unplanOutfit(date) {
+        await this.persistOrReject('remove the planned outfit', store => store.removeCalendarEntry(date));
+
+        this.calendar = this.calendar.filter(entry => entry.date !== date);
+        this.emit('calendarchange', { calendar: this.calendar });
+    }
+
+    // Plan one outfit for each of days ([{ date, occasion }]) and put them on the calendar.
+    // Calendar entries in reserved keep their items taken when noRepeat is set. Excluded items are
+    // left out, as in recommend().
+    // Resolves with planOutfits()' result: [{ date, occasion, outfit }].
+    async planDays(days, { clothingType = '', colorPreference = '', conditions = null,
+        repeatDays = PLANNER_DEFAULT_REPEAT_DAYS, noRepeat = false, reserved = [] } = {}) {
+        const plan = await planOutfits(days, {
+            items: this.getGeneratorItems().filter(item => !this.excludedIds.has(item.id)),
+            history: this.getWearHistory(),
+            reserved,
+            repeatDays,
+            noRepeat,
+            recommend: (items, { occasion, blockedOutfits }) => this.requestOutfits({
+                items, occasion, clothingType, colorPreference, conditions, blockedOutfits
+            })
+        });
+
+        for (const day of plan) {
+            if (day.outfit) await this.planOutfit(day.date, day.outfit.itemIds, day.occasion);
+        }
+        return plan;
+    }
+
+    getBlockedOutfits() {
+        return new Set(this.feedback.filter(event => event.action === 'never').map(event => event.outfitKey));
+    }
+
+    // Store a like/dislike/wore/never event about an outfit's items, retrain the preference
+    // model on all feedback and resolve with the event. Rejects when the store cannot save it.
+    async recordFeedback(items, action) {
+        let event = {
+            itemIds: items.map(item => item.id),
+            outfitKey: outfitKey(items),
+            features: outfitFeatures(items),
+            action: action,
+            date: Date.now()
+        };
+
+        event = (await this.persistOrReject('save feedback', store => store.addFeedback(event))) || event;
+        this.feedback = [...this.feedback, event];
+        this.preferenceModel.train(this.feedback);
+        this.emit('feedback', { event });
+        return event;
+    }
+
+    // Take back an event from recordFeedback(), e.g. when a like is un-pressed, and retrain without
+    // it. Rejects when the store cannot remove it.
+    async removeFeedback(event) {
+        if (event.id !== undefined) {
+            await this.persistOrReject('remove feedback', store => store.removeFeedback(event.id));
+        }
+        this.feedback = this.feedback.filter(other => other !== event);
+        this.preferenceModel.train(this.feedback);
+        this.emit('feedback', { event, removed: true });
+    }
+
+    // "What's missing?" report (wardrobe-gaps.js) for every item that is not excluded
+    analyzeGaps(options) {
+        const items = this.items.filter(item => !this.excludedIds.has(item.id));
+        // Runs in the outfit worker; with a backend engine configured, in a local engine of its own
+        const local = this.recommendationEngine instanceof LocalRecommendationEngine
+            ? this.recommendationEngine
+            : (this.gapEngine ||= new LocalRecommendationEngine());
+        return local.analyzeGaps(items, this.occasionRules, options);
+    }
+
+    // The whole wardrobe, planned outfits and feedback as an archive object (wardrobe-archive.js)
+    exportArchive() {
+        return createWardrobeArchive({
+            items: this.items.map(toWardrobeRecord),
+            calendar: this.calendar,
+            feedback: this.feedback,
+            quota: this.quota,
+            occasionRules: this.customOccasionRules
+        });
+    }
+
+    // Import a validated archive, merged into the wardrobe or replacing it. Photos already in the
+    // wardrobe (same image hash) are not added twice.
+    // Resolves with { items, duplicates, skipped }: items added, already present and over the quota.
+    async importArchive(archive, { replace = false } = {}) {
+        if (replace) {
+            await this.clear();
+            if (archive.settings.quota) await this.setQuota(Math.max(archive.settings.quota, this.quota));
+        }
+
+        // Custom occasions the items may be tagged with; ones with a name already in use are kept as they are
+        const importedRules = (archive.settings.occasionRules || []).filter(rule =>
+            validateOccasionRule(rule) === null && !this.customOccasionRules.some(custom => custom.id === rule.id));
+        if (importedRules.length > 0) {
+            await this.setCustomOccasionRules([...this.customOccasionRules, ...importedRules]);
+        }
+
+        const existing = await Promise.all(this.items.map(async item => ({
+            id: item.id,
+            imageHash: await this.getImageHash(item)
+        })));
+        const plan = planArchiveImport(archive, {
+            existing,
+            existingDates: this.calendar.map(entry => entry.date),
+            room: Math.max(0, this.quota - this.items.length),
+            createId: () => Date.now() + Math.random()
+        });
+        // Trained before anything is saved, so an archive the model fails on stops the import
+        // without leaving half of it behind
+        const preferenceModel = new PreferenceModel().train([...this.feedback, ...plan.feedback]);
+
+        for (const record of plan.items) {
+            await this.persist('save imported item', store => store.add(record));
+            this.items = [...this.items, fromWardrobeRecord(record)];
+        }
+
+        for (const entry of plan.calendar) {
+            await this.persist('save imported calendar entry', store => store.putCalendarEntry(entry));
+            this.calendar = [...this.calendar, entry];
+        }
+
+        const feedback = [];
+        for (const event of plan.feedback) {
+            feedback.push((await this.persist('save imported feedback', store => store.addFeedback(event))) || event);
+        }
+        this.feedback = [...this.feedback, ...feedback];
+        this.preferenceModel = preferenceModel;
+
+        this.emit('itemschange', { items: this.items });
+        this.emit('calendarchange', { calendar: this.calendar });
+        return { items: plan.items.length, duplicates: plan.duplicates, skipped: plan.skipped };
+    }
+}
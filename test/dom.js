@@ -0,0 +1,28 @@
+// Test DOM: index.html loaded in jsdom, with its window exposed as the globals the modules use.
+// Scripts in the page are not run; tests import the modules they exercise.
+
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const PAGE_GLOBALS = ['window', 'document', 'navigator', 'location', 'history', 'Node', 'HTMLElement',
+    'HTMLCanvasElement', 'Event', 'KeyboardEvent', 'FileReader', 'FormData', 'confirm', 'prompt'];
+
+export function setupDom(url = 'http://localhost/') {
+    // jsdom reports canvas as unimplemented; previews already handle a missing 2D context
+    const virtualConsole = new VirtualConsole();
+    const dom = new JSDOM(readFileSync(new URL('../index.html', import.meta.url), 'utf8'), { url, virtualConsole });
+
+    // Not implemented by jsdom; the page calls it after rendering results
+    dom.window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    PAGE_GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, {
+            value: name in dom.window && typeof dom.window[name] === 'function' && /^[a-z]/.test(name)
+                ? dom.window[name].bind(dom.window)
+                : dom.window[name],
+            configurable: true,
+            writable: true
+        });
+    });
+    return dom;
+}
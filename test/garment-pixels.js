@@ -0,0 +1,20 @@
+// Synthetic garment photos for the analysis tests
+
+export const NAVY = [31, 42, 90];
+export const RED = [200, 30, 40];
+
+// A 64 x 64 RGBA photo: a garment (painted by paint(x, y)) on a near-white background
+export function garmentPixels(paint) {
+    const width = 64;
+    const height = 64;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inside = x >= 16 && x < 48 && y >= 8 && y < 56;
+            data.set([...(inside ? paint(x, y) : [250, 250, 250]), 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+export const stripes = (a, b) => (x, y) => (Math.floor(y / 4) % 2 ? b : a);
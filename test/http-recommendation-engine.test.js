@@ -0,0 +1,132 @@
+// Contract tests: HttpRecommendationEngine against the mock backend in mock-server/
+
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import mockServer from '../mock-server/server.js';
+import { DEFAULT_OCCASION_RULES, findOccasionRule } from '../occasion-rules.js';
+import { HttpRecommendationEngine, RecommendationError } from '../recommendation-engine.js';
+
+const ITEMS = [
+    { id: 1, name: 'navy-shirt.jpg', category: 'top', colors: [{ hex: '#1f2a44', weight: 1 }], pattern: 'solid', warmth: 2 },
+    { id: 2, name: 'white-tee.jpg', category: 'top', colors: [{ hex: '#f4f1ea', weight: 1 }], pattern: 'solid', warmth: 1 },
+    { id: 3, name: 'chinos.jpg', category: 'bottom', colors: [{ hex: '#c2b280', weight: 1 }], pattern: 'solid', warmth: 2 },
+    { id: 4, name: 'loafers.jpg', category: 'footwear', colors: [{ hex: '#5b3a29', weight: 1 }], pattern: 'solid', warmth: 2 }
+];
+
+const request = (fields = {}) => ({
+    items: ITEMS,
+    occasion: 'business',
+    occasionRule: findOccasionRule(DEFAULT_OCCASION_RULES, 'business'),
+    clothingType: '',
+    colorPreference: '',
+    limit: 6,
+    ...fields
+});
+
+let running = null;
+
+// A mock backend on a free port; requests counts what reached it
+async function startServer(options = {}) {
+    const server = mockServer.createMockServer(options);
+    running = { server, requests: 0 };
+    server.on('request', () => { running.requests++; });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { endpoint: `http://127.0.0.1:${server.address().port}/recommend`, stats: running };
+}
+
+afterEach(async () => {
+    if (!running) return;
+    running.server.closeAllConnections();
+    await new Promise(resolve => running.server.close(resolve));
+    running = null;
+});
+
+describe('HttpRecommendationEngine', () => {
+    test('resolves with ranked outfits from the backend', async () => {
+        const { endpoint } = await startServer();
+        const engine = new HttpRecommendationEngine({ endpoint });
+
+        const outfits = await engine.recommend(request());
+
+        assert.deepEqual(outfits.map(outfit => outfit.itemIds), [[1, 3, 4], [2, 3, 4]]);
+        outfits.forEach(outfit => {
+            assert.ok(outfit.scores.rating >= 1 && outfit.scores.rating <= 5);
+            assert.equal(outfit.scores.confidence, 70);
+            assert.match(outfit.styleNotes, /business/);
+        });
+    });
+
+    test('sends the payload the backend validates', async () => {
+        const engine = new HttpRecommendationEngine({ endpoint: 'http://127.0.0.1:1/recommend' });
+        const payload = await engine.buildPayload(request({ anchorIds: [3] }));
+
+        assert.equal(mockServer.validatePayload(payload), null);
+        assert.deepEqual(payload.anchorIds, [3]);
+        assert.equal(payload.occasionRule.id, 'business');
+        assert.deepEqual(payload.items.map(item => item.image), [null, null, null, null]);
+    });
+
+    test('rejects a 4xx validation error without retrying', async () => {
+        const { endpoint, stats } = await startServer();
+        const engine = new HttpRecommendationEngine({ endpoint, retries: 2, retryDelay: 1 });
+        const items = [{ id: 1, name: 'no-category.jpg' }];
+
+        await assert.rejects(engine.recommend(request({ items })), error => {
+            assert.ok(error instanceof RecommendationError);
+            assert.equal(error.status, 400);
+            assert.equal(error.retryable, false);
+            return true;
+        });
+        assert.equal(stats.requests, 1);
+    });
+
+    test('retries 5xx responses with backoff', async () => {
+        const { endpoint, stats } = await startServer({ failFirst: 2 });
+        const engine = new HttpRecommendationEngine({ endpoint, retries: 2, retryDelay: 1 });
+
+        const outfits = await engine.recommend(request());
+
+        assert.equal(outfits.length, 2);
+        assert.equal(stats.requests, 3);
+    });
+
+    test('gives up after the last retry', async () => {
+        const { endpoint, stats } = await startServer({ failFirst: 5 });
+        const engine = new HttpRecommendationEngine({ endpoint, retries: 1, retryDelay: 1 });
+
+        await assert.rejects(engine.recommend(request()), { name: 'RecommendationError', status: 503 });
+        assert.equal(stats.requests, 2);
+    });
+
+    test('times out a slow backend', async () => {
+        const { endpoint } = await startServer({ delayMs: 500 });
+        const engine = new HttpRecommendationEngine({ endpoint, timeout: 50, retries: 0 });
+
+        await assert.rejects(engine.recommend(request()), error => {
+            assert.ok(error instanceof RecommendationError);
+            assert.match(error.message, /timed out after 50ms/);
+            assert.equal(error.retryable, true);
+            return true;
+        });
+    });
+
+    test('stops when the caller aborts', async () => {
+        const { endpoint, stats } = await startServer({ delayMs: 500 });
+        const engine = new HttpRecommendationEngine({ endpoint, retries: 2, retryDelay: 1 });
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+
+        await assert.rejects(engine.recommend(request(), { signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(stats.requests, 1);
+    });
+
+    test('does not send anything once aborted', async () => {
+        const { endpoint, stats } = await startServer();
+        const engine = new HttpRecommendationEngine({ endpoint });
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(engine.recommend(request(), { signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(stats.requests, 0);
+    });
+});
@@ -0,0 +1,35 @@
+// Duplicate and same-garment detection
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { findMatchingGarment } from '../image-similarity.js';
+import { StyleEngine } from '../style-engine.js';
+import { NAVY, RED, garmentPixels, stripes } from './garment-pixels.js';
+
+const engine = new StyleEngine();
+const analyzed = (paint, name) => ({ id: name, name, ...engine.analyze(garmentPixels(paint), name) });
+
+const solidNavy = analyzed(() => NAVY, 'navy-shirt.jpg');
+
+describe('findMatchingGarment', () => {
+    test('finds the same photo again', () => {
+        const again = analyzed(() => NAVY, 'navy-shirt-copy.jpg');
+        assert.deepEqual(findMatchingGarment(again, [solidNavy]), { item: solidNavy, match: 'duplicate', distance: 0 });
+    });
+
+    test('tells a solid shirt from a striped one with the same outline', () => {
+        const striped = analyzed(stripes(NAVY, RED), 'striped-shirt.jpg');
+        assert.equal(striped.perceptualHash, solidNavy.perceptualHash);
+        assert.equal(findMatchingGarment(striped, [solidNavy]), null);
+    });
+
+    test('tells garments apart by their palette when the pattern is unknown', () => {
+        const twoTone = { ...analyzed(stripes(NAVY, RED), 'two-tone.jpg'), pattern: null };
+        assert.equal(findMatchingGarment(twoTone, [{ ...solidNavy, pattern: null }]), null);
+    });
+
+    test('ignores items in another color', () => {
+        const red = analyzed(() => RED, 'red-shirt.jpg');
+        assert.equal(findMatchingGarment(red, [solidNavy]), null);
+    });
+});
@@ -0,0 +1,112 @@
+// LocalRecommendationEngine with outfit-worker.js running in-process behind a stand-in Worker
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { DEFAULT_OCCASION_RULES } from '../occasion-rules.js';
+import { LocalRecommendationEngine } from '../recommendation-engine.js';
+import { analyzeWardrobeGaps } from '../wardrobe-gaps.js';
+
+const item = (id, name, category, hex) => ({ id, name, category, colors: [{ hex, weight: 1 }], pattern: 'solid' });
+
+const wardrobe = [
+    item(1, 'white shirt', 'top', '#F4F4F2'),
+    item(2, 'navy trousers', 'bottom', '#1F2A4D'),
+    item(3, 'black shoes', 'footwear', '#1C1C1C'),
+    item(4, 'red skirt', 'bottom', '#B22222')
+];
+
+// The worker script registers on self; messages cross over asynchronously, as structured clones.
+// A terminated stand-in delivers nothing more and stops the gap analyses it started.
+const workerScope = new EventTarget();
+const posted = [];
+let terminated = 0;
+
+class FakeWorker extends EventTarget {
+    constructor() {
+        super();
+        this.delivered = [];
+        this.terminated = false;
+        workerScope.postMessage = data => setTimeout(() =>
+            this.dispatchEvent(new MessageEvent('message', { data: structuredClone(data) })));
+    }
+
+    postMessage(data) {
+        posted.push(data);
+        setTimeout(() => {
+            if (this.terminated) return;
+            this.delivered.push(data.requestId);
+            workerScope.dispatchEvent(new MessageEvent('message', { data: structuredClone(data) }));
+        });
+    }
+
+    terminate() {
+        terminated++;
+        this.terminated = true;
+        this.delivered.forEach(requestId =>
+            workerScope.dispatchEvent(new MessageEvent('message', { data: { requestId, task: 'cancel' } })));
+    }
+}
+
+before(async () => {
+    globalThis.self = workerScope;
+    globalThis.Worker = FakeWorker;
+    await import('../outfit-worker.js');
+});
+
+after(() => {
+    delete globalThis.self;
+    delete globalThis.Worker;
+});
+
+describe('LocalRecommendationEngine in the outfit worker', () => {
+    test('runs the gap analysis in the worker and reports its progress', async () => {
+        const engine = new LocalRecommendationEngine();
+        const progress = [];
+
+        const report = await engine.analyzeGaps(wardrobe, DEFAULT_OCCASION_RULES, {
+            onProgress: share => progress.push(share)
+        });
+
+        assert.equal(posted.at(-1).task, 'gaps');
+        assert.deepEqual(report, await analyzeWardrobeGaps(wardrobe, DEFAULT_OCCASION_RULES));
+        assert.ok(progress.length > 0);
+        assert.ok(progress.every((share, i) => share >= 0 && share < 1 && (i === 0 || share > progress[i - 1])));
+    });
+
+    test('still generates outfits there', async () => {
+        const engine = new LocalRecommendationEngine();
+
+        const outfits = await engine.recommend({ items: wardrobe, colorPreference: 'any', limit: 3 });
+
+        assert.equal(posted.at(-1).task, 'outfits');
+        assert.ok(outfits.length > 0);
+        assert.ok(outfits.every(outfit => outfit.itemIds.includes(3)));
+    });
+
+    test('an aborted request leaves the others on the worker running', async () => {
+        const engine = new LocalRecommendationEngine();
+        const controller = new AbortController();
+        const terminatedBefore = terminated;
+
+        const gaps = engine.analyzeGaps(wardrobe, DEFAULT_OCCASION_RULES);
+        const outfits = engine.recommend({ items: wardrobe, limit: 3 }, { signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(outfits, { name: 'AbortError' });
+        assert.equal((await gaps).outfits, (await analyzeWardrobeGaps(wardrobe, DEFAULT_OCCASION_RULES)).outfits);
+        assert.equal(terminated, terminatedBefore);
+    });
+
+    test('stops a cancelled gap analysis and replaces the idle worker', async () => {
+        const engine = new LocalRecommendationEngine();
+        const controller = new AbortController();
+        const terminatedBefore = terminated;
+
+        const gaps = engine.analyzeGaps(wardrobe, DEFAULT_OCCASION_RULES, { signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(gaps, { name: 'AbortError' });
+        assert.equal(terminated, terminatedBefore + 1);
+        assert.equal(engine.pending.size, 0);
+    });
+});
@@ -0,0 +1,97 @@
+// In-memory stand-in for WardrobeStore (wardrobe-store.js), same interface without IndexedDB
+
+import { WARDROBE_DEFAULT_QUOTA } from '../wardrobe-store.js';
+
+export class MemoryWardrobeStore {
+    constructor() {
+        this.items = new Map();
+        this.feedback = [];
+        this.calendar = new Map();
+        this.settings = new Map();
+        this.nextFeedbackId = 1;
+    }
+
+    async getAll() {
+        return [...this.items.values()].sort((a, b) => a.dateAdded - b.dateAdded);
+    }
+
+    async get(id) {
+        return this.items.get(id);
+    }
+
+    async add(item) {
+        if (this.items.has(item.id)) throw new Error(`Wardrobe item ${item.id} already exists`);
+        const record = { tags: [], dateAdded: Date.now(), ...item };
+        this.items.set(record.id, record);
+        return record;
+    }
+
+    async update(id, changes) {
+        const existing = this.items.get(id);
+        if (!existing) throw new Error(`Wardrobe item ${id} not found`);
+        const record = { ...existing, ...changes, id };
+        this.items.set(id, record);
+        return record;
+    }
+
+    async remove(id) {
+        this.items.delete(id);
+    }
+
+    async clear() {
+        this.items.clear();
+        this.feedback = [];
+        this.calendar.clear();
+    }
+
+    async getFeedback() {
+        return [...this.feedback];
+    }
+
+    async addFeedback(event) {
+        const stored = { ...event, id: this.nextFeedbackId++ };
+        this.feedback.push(stored);
+        return stored;
+    }
+
+    async removeFeedback(id) {
+        this.feedback = this.feedback.filter(event => event.id !== id);
+    }
+
+    async getCalendar() {
+        return [...this.calendar.values()];
+    }
+
+    async putCalendarEntry(entry) {
+        this.calendar.set(entry.date, entry);
+        return entry;
+    }
+
+    async removeCalendarEntry(date) {
+        this.calendar.delete(date);
+    }
+
+    async getSetting(key, defaultValue) {
+        return this.settings.has(key) ? this.settings.get(key) : defaultValue;
+    }
+
+    async setSetting(key, value) {
+        this.settings.set(key, value);
+    }
+
+    getQuota() {
+        return this.getSetting('quota', WARDROBE_DEFAULT_QUOTA);
+    }
+
+    setQuota(quota) {
+        return this.setSetting('quota', quota);
+    }
+
+    getOccasionRules() {
+        return this.getSetting('occasionRules', []);
+    }
+
+    setOccasionRules(rules) {
+        return this.setSetting('occasionRules', rules);
+    }
+}
@@ -0,0 +1,169 @@
+// File names, tags and occasion labels are user input: every render path must show them as text,
+// never as markup
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { setupDom } from './dom.js';
+
+setupDom();
+const { buildElement, replaceContent } = await import('../dom-builder.js');
+const { AIStyleMatcher } = await import('../app.js');
+const { DEFAULT_OCCASION_RULES } = await import('../occasion-rules.js');
+const { toDateKey } = await import('../outfit-planner.js');
+
+const HOSTILE_NAMES = [
+    '<img src=x onerror=alert(1)>.jpg',
+    '"><script>alert(2)</script>shirt.jpg',
+    '\' onmouseover=\'alert(3)\' x=\'jeans.png',
+    '<svg onload=alert(4)>dress.jpg'
+];
+
+// Nothing in root was parsed from a name: no injected elements, no event handler attributes
+function assertNoInjectedMarkup(root) {
+    assert.equal(root.querySelector('script, svg, img[src="x"]'), null);
+    root.querySelectorAll('*').forEach(element => {
+        const handlers = element.getAttributeNames().filter(name => name.startsWith('on'));
+        assert.deepEqual(handlers, [], `<${element.localName}> has ${handlers.join(', ')}`);
+    });
+}
+
+const photo = () => new Blob(['not really a photo'], { type: 'image/jpeg' });
+
+describe('buildElement', () => {
+    test('keeps hostile names as a single text node', () => {
+        HOSTILE_NAMES.forEach(name => {
+            const element = buildElement('span', { className: 'image-name' }, name);
+            assert.equal(element.childNodes.length, 1);
+            assert.equal(element.firstChild.nodeType, Node.TEXT_NODE);
+            assert.equal(element.textContent, name);
+            assertNoInjectedMarkup(element);
+        });
+    });
+
+    test('keeps hostile names as plain attribute values', () => {
+        HOSTILE_NAMES.forEach(name => {
+            const element = buildElement('button', { title: name, 'aria-label': name, dataset: { name } });
+            assert.equal(element.getAttribute('title'), name);
+            assert.equal(element.getAttribute('aria-label'), name);
+            assert.equal(element.dataset.name, name);
+            assert.deepEqual(element.getAttributeNames().sort(), ['aria-label', 'data-name', 'title']);
+        });
+    });
+
+    test('sets form values as properties', () => {
+        const input = buildElement('input', { type: 'text', value: HOSTILE_NAMES[0] });
+        assert.equal(input.value, HOSTILE_NAMES[0]);
+        assert.equal(input.hasAttribute('value'), false);
+    });
+
+    test('replaceContent swaps children for text', () => {
+        const container = buildElement('div', {}, buildElement('p', {}, 'old'));
+        replaceContent(container, ...HOSTILE_NAMES);
+        assert.equal(container.children.length, 0);
+        assert.equal(container.textContent, HOSTILE_NAMES.join(''));
+    });
+});
+
+describe('page rendering', () => {
+    const app = new AIStyleMatcher();
+    const colors = [{ hex: '#1f2a44', weight: 0.7 }, { hex: '#f4f1ea', weight: 0.3 }];
+    const hostileTags = ['<b onclick=alert(5)>work</b>'];
+
+    const addItems = () => Promise.all([
+        app.engine.addItem({ name: HOSTILE_NAMES[0], file: photo(), category: 'top', colors, tags: hostileTags }),
+        app.engine.addItem({ name: HOSTILE_NAMES[1], file: photo(), category: 'bottom', colors }),
+        app.engine.addItem({ name: HOSTILE_NAMES[2], file: photo(), category: 'footwear', colors }),
+        app.engine.addItem({ name: HOSTILE_NAMES[3], file: photo(), category: 'one-piece', colors })
+    ]);
+
+    test('wardrobe previews show names as text', async () => {
+        await addItems();
+        const previews = document.getElementById('imagePreviews');
+
+        const names = [...previews.querySelectorAll('.image-name')].map(element => element.textContent);
+        assert.deepEqual(names.sort(), [...HOSTILE_NAMES].sort());
+        assert.equal(previews.querySelectorAll('img').length, HOSTILE_NAMES.length);
+        assertNoInjectedMarkup(previews);
+    });
+
+    test('the inline editor puts the name in the field value', () => {
+        const item = app.engine.items[0];
+        app.wardrobePanel.editingId = item.id;
+        app.wardrobePanel.render();
+
+        const editor = document.querySelector('#imagePreviews .item-editor');
+        assert.equal(editor.querySelector('[name="name"]').value, item.name);
+        assert.equal(editor.querySelector('[name="tags"]').value, hostileTags.join(', '));
+        assertNoInjectedMarkup(editor);
+    });
+
+    test('combination cards show names and tags as text', async () => {
+        const combinations = await app.engine.recommend({ occasion: 'casual' });
+        assert.ok(combinations.length > 0);
+        app.displayResults(combinations);
+
+        const grid = document.getElementById('combinationsGrid');
+        const cards = grid.querySelectorAll('.combination-card');
+        assert.equal(cards.length, combinations.length);
+        cards.forEach((card, i) => {
+            assert.equal(card.querySelectorAll('.combination-images img').length, combinations[i].images.length);
+        });
+        assertNoInjectedMarkup(grid);
+    });
+
+    test('pin status describes anchored items without their names', () => {
+        const item = app.engine.items[0];
+        app.engine.togglePin(item.id, 'anchor');
+
+        const status = document.getElementById('pinStatus');
+        assert.match(document.getElementById('pinStatusText').textContent, /^Building around /);
+        assertNoInjectedMarkup(status);
+        app.engine.clearPins();
+    });
+
+    test('the duplicate question shows both names as text', async () => {
+        const dialog = document.getElementById('duplicateDialog');
+        dialog.showModal = () => dialog.dispatchEvent(new Event('close'));
+        const [existing, upload] = app.engine.items;
+
+        const action = await app.askDuplicateAction({ item: existing, match: 'similar' }, upload);
+
+        assert.equal(action, 'skip');
+        const text = document.getElementById('duplicateText').textContent;
+        assert.ok(text.includes(`"${upload.name}"`) && text.includes(`"${existing.name}"`));
+        assertNoInjectedMarkup(dialog);
+    });
+
+    test('custom occasion labels are text in the editor and the occasion select', async () => {
+        await app.engine.setCustomOccasionRules([{ ...DEFAULT_OCCASION_RULES[0], id: 'interview', label: HOSTILE_NAMES[3] }]);
+
+        const option = [...document.getElementById('occasion').options].find(element => element.value === 'interview');
+        assert.equal(option.textContent, HOSTILE_NAMES[3]);
+        const list = document.getElementById('occasionList');
+        assert.ok(list.textContent.includes(HOSTILE_NAMES[3]));
+        assertNoInjectedMarkup(document.getElementById('occasion'));
+        assertNoInjectedMarkup(list);
+    });
+
+    test('calendar entries show names and occasion labels as text', async () => {
+        const outfit = app.engine.items.filter(item => item.category !== 'one-piece');
+        await app.engine.planOutfit(toDateKey(new Date()), outfit.map(item => item.id), 'interview');
+
+        const grid = document.getElementById('plannerGrid');
+        const titles = [...grid.querySelectorAll('.planner-day__items img')].map(img => img.getAttribute('title'));
+        assert.deepEqual(titles.sort(), outfit.map(item => item.name).sort());
+        assert.equal(grid.querySelector('.planner-day__occasion').textContent, HOSTILE_NAMES[3]);
+        assertNoInjectedMarkup(grid);
+    });
+
+    test('the gap report lists hard-to-wear items by name as text', async () => {
+        const report = await app.engine.analyzeGaps();
+        app.gapReport.render({ ...report, orphans: app.engine.items.map(item => ({ itemId: item.id, outfits: 0 })) });
+
+        const container = document.getElementById('gapReport');
+        const names = [...container.querySelectorAll('.gap-orphan__name')].map(element => element.textContent);
+        assert.deepEqual(names.sort(), [...HOSTILE_NAMES].sort());
+        assert.ok(container.textContent.includes(HOSTILE_NAMES[3]));
+        assertNoInjectedMarkup(container);
+    });
+});
@@ -0,0 +1,245 @@
+// StyleEngine in Node: analysis, the wardrobe, recommendations and feedback, with an in-memory store
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { describeColorFamily } from '../color-analysis.js';
+import { StyleEngine, WardrobeFullError } from '../style-engine.js';
+import { WARDROBE_MAX_QUOTA } from '../wardrobe-store.js';
+import { NAVY, RED, garmentPixels, stripes } from './garment-pixels.js';
+import { MemoryWardrobeStore } from './memory-store.js';
+
+const item = (name, category, hex, fields = {}) => ({ name, category, colors: [{ hex, weight: 1 }], pattern: 'solid', ...fields });
+
+let store;
+let engine;
+
+beforeEach(() => {
+    store = new MemoryWardrobeStore();
+    engine = new StyleEngine({ store });
+});
+
+describe('analyze', () => {
+    test('finds the color, category and pattern of a garment photo', () => {
+        const analysis = engine.analyze(garmentPixels(() => NAVY), 'navy-shirt.jpg');
+
+        assert.equal(describeColorFamily(analysis.colors[0].hex), 'blue');
+        assert.equal(analysis.category, 'top');
+        assert.equal(analysis.categorySource, 'name');
+        assert.equal(analysis.pattern, 'solid');
+        assert.match(analysis.perceptualHash, /^[0-9a-f]{16}$/);
+    });
+
+    test('detects stripes and both of their colors', () => {
+        const analysis = engine.analyze(garmentPixels(stripes(NAVY, RED)), 'striped-top.jpg');
+
+        assert.equal(analysis.pattern, 'stripes');
+        assert.deepEqual(analysis.colors.map(color => describeColorFamily(color.hex)).sort(), ['blue', 'red']);
+    });
+
+    test('guesses only the category without pixels', () => {
+        assert.deepEqual(engine.analyze(null, 'blue-jeans.jpg'), {
+            colors: [], category: 'bottom', categorySource: 'name', pattern: null, perceptualHash: null
+        });
+    });
+});
+
+describe('addItem', () => {
+    test('fills in defaults, saves the item and emits itemschange', async () => {
+        const changes = [];
+        engine.addEventListener('itemschange', e => changes.push(e.detail.items.length));
+
+        const added = await engine.addItem({ name: 'chinos.jpg', category: 'bottom' });
+
+        assert.deepEqual(changes, [1]);
+        assert.equal(engine.getItem(added.id), added);
+        assert.deepEqual(added.tags, []);
+        assert.ok(added.warmth >= 1);
+        assert.equal((await store.get(added.id)).name, 'chinos.jpg');
+    });
+
+    test('rejects items over the quota', async () => {
+        await engine.setQuota(1);
+        await engine.addItem({ name: 'shirt.jpg' });
+
+        await assert.rejects(engine.addItem({ name: 'tee.jpg' }), WardrobeFullError);
+        assert.equal(engine.items.length, 1);
+    });
+
+    test('keeps the quota between 1 and the maximum', async () => {
+        await engine.setQuota(0);
+        assert.equal(engine.quota, 1);
+        await engine.setQuota(WARDROBE_MAX_QUOTA + 1);
+        assert.equal(engine.quota, WARDROBE_MAX_QUOTA);
+        assert.equal(await store.getQuota(), WARDROBE_MAX_QUOTA);
+    });
+
+    test('is restored from the store by load()', async () => {
+        await engine.setQuota(10);
+        const added = await engine.addItem(item('navy-shirt.jpg', 'top', '#1f2a5a', { tags: ['work'] }));
+
+        const restored = new StyleEngine({ store });
+        await restored.load();
+
+        assert.equal(restored.quota, 10);
+        assert.deepEqual(restored.items.map(other => [other.id, other.name, other.tags]), [[added.id, 'navy-shirt.jpg', ['work']]]);
+    });
+});
+
+describe('recommend', () => {
+    let shirt;
+    let tee;
+    let chinos;
+    let jeans;
+
+    beforeEach(async () => {
+        shirt = await engine.addItem(item('navy-shirt.jpg', 'top', '#1f2a5a'));
+        tee = await engine.addItem(item('white-tee.jpg', 'top', '#f4f1ea'));
+        chinos = await engine.addItem(item('chinos.jpg', 'bottom', '#c2b280'));
+        jeans = await engine.addItem(item('jeans.jpg', 'bottom', '#334466'));
+        await engine.addItem(item('sneakers.jpg', 'footwear', '#f0f0f0'));
+    });
+
+    test('ranks complete outfits and emits recommendations', async () => {
+        let emitted = null;
+        engine.addEventListener('recommendations', e => { emitted = e.detail.combinations; });
+
+        const combinations = await engine.recommend({ occasion: 'casual' });
+
+        assert.ok(combinations.length > 0);
+        assert.equal(emitted, combinations);
+        combinations.forEach(combination => {
+            const categories = combination.images.map(img => img.category);
+            assert.ok(categories.includes('top') && categories.includes('bottom'));
+            assert.ok(combination.rating >= 1 && combination.rating <= 5);
+        });
+        const scores = combinations.map(combination => combination.scores.score);
+        assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    });
+
+    test('builds every outfit around anchored items', async () => {
+        engine.togglePin(jeans.id, 'anchor');
+
+        const combinations = await engine.recommend({ occasion: 'casual' });
+
+        assert.ok(combinations.length > 0);
+        combinations.forEach(combination => assert.ok(combination.images.includes(jeans)));
+    });
+
+    test('replaces an anchor in the same slot instead of adding a second one', async () => {
+        engine.togglePin(jeans.id, 'anchor');
+        engine.togglePin(shirt.id, 'anchor');
+
+        assert.deepEqual(engine.togglePin(tee.id, 'anchor'), [shirt]);
+        assert.deepEqual([...engine.anchorIds].sort(), [jeans.id, tee.id].sort());
+        const combinations = await engine.recommend({ occasion: 'casual' });
+        assert.ok(combinations.length > 0);
+        combinations.forEach(combination => assert.ok(combination.images.includes(tee) && combination.images.includes(jeans)));
+    });
+
+    test('leaves out excluded items', async () => {
+        engine.togglePin(shirt.id, 'exclude');
+
+        const combinations = await engine.recommend({ occasion: 'casual' });
+
+        assert.ok(combinations.length > 0);
+        combinations.forEach(combination => assert.ok(!combination.images.includes(shirt)));
+    });
+
+    test('leaves excluded items out of planned days', async () => {
+        engine.togglePin(tee.id, 'exclude');
+
+        const plan = await engine.planDays([{ date: '2026-10-19', occasion: 'casual' }, { date: '2026-10-20', occasion: 'casual' }]);
+
+        assert.ok(plan.some(day => day.outfit));
+        plan.filter(day => day.outfit).forEach(day => assert.ok(!day.outfit.itemIds.includes(tee.id)));
+        assert.deepEqual((await store.getCalendar()).map(entry => entry.date).sort(),
+            plan.filter(day => day.outfit).map(day => day.date).sort());
+    });
+
+    test('resolves with nothing for an empty wardrobe', async () => {
+        await engine.clear();
+        assert.deepEqual(await engine.recommend({ occasion: 'casual' }), []);
+    });
+
+    describe('feedback', () => {
+        test('is saved with the outfit features and trains the preference model', async () => {
+            let recorded = null;
+            engine.addEventListener('feedback', e => { recorded = e.detail.event; });
+
+            await engine.recordFeedback([shirt, chinos], 'like');
+
+            assert.equal(recorded.action, 'like');
+            assert.deepEqual(recorded.itemIds, [shirt.id, chinos.id]);
+            assert.ok(Object.keys(recorded.features).length > 0);
+            assert.equal(engine.preferenceModel.examples, 1);
+            assert.deepEqual((await store.getFeedback()).map(event => event.id), [recorded.id]);
+        });
+
+        test('can be taken back', async () => {
+            await engine.recordFeedback([tee, jeans], 'dislike');
+            const untrained = engine.preferenceModel.toJSON();
+            const like = await engine.recordFeedback([shirt, chinos], 'like');
+
+            await engine.removeFeedback(like);
+
+            assert.deepEqual(engine.feedback.map(event => event.action), ['dislike']);
+            assert.deepEqual(engine.preferenceModel.toJSON(), untrained);
+            assert.deepEqual((await store.getFeedback()).map(event => event.action), ['dislike']);
+        });
+
+        test('raises the score of liked outfits', async () => {
+            const before = (await engine.recommend({ occasion: 'casual' }))
+                .find(combination => combination.images.includes(tee) && combination.images.includes(jeans));
+            for (let i = 0; i < 5; i++) {
+                await engine.recordFeedback([tee, jeans], 'like');
+            }
+            const after = (await engine.recommend({ occasion: 'casual' }))
+                .find(combination => combination.images.includes(tee) && combination.images.includes(jeans));
+
+            assert.ok(after.scores.score > before.scores.score);
+        });
+
+        test('"never" blocks the outfit from later recommendations', async () => {
+            const [first] = await engine.recommend({ occasion: 'casual' });
+            await engine.recordFeedback(first.images, 'never');
+
+            const combinations = await engine.recommend({ occasion: 'casual' });
+            const keys = combinations.map(combination => combination.images.map(img => img.id).sort().join('+'));
+
+            assert.ok(!keys.includes(first.images.map(img => img.id).sort().join('+')));
+        });
+
+        test('is restored and retrained by load()', async () => {
+            await engine.recordFeedback([shirt, chinos], 'like');
+            await engine.recordFeedback([tee, jeans], 'dislike');
+
+            const restored = new StyleEngine({ store });
+            await restored.load();
+
+            assert.equal(restored.feedback.length, 2);
+            assert.deepEqual(restored.preferenceModel.toJSON(), engine.preferenceModel.toJSON());
+        });
+
+        test('rejects and changes nothing when the store fails', async () => {
+            const event = await engine.recordFeedback([shirt, chinos], 'like');
+            const untrained = engine.preferenceModel.toJSON();
+            store.addFeedback = store.removeFeedback = async () => { throw new Error('Quota exceeded'); };
+
+            await assert.rejects(engine.recordFeedback([tee, jeans], 'like'), /Quota exceeded/);
+            await assert.rejects(engine.removeFeedback(event), /Quota exceeded/);
+            assert.deepEqual(engine.feedback, [event]);
+            assert.deepEqual(engine.preferenceModel.toJSON(), untrained);
+        });
+    });
+});
+
+describe('calendar', () => {
+    test('rejects and keeps the calendar when the store fails', async () => {
+        await engine.planOutfit('2026-10-19', [1, 2], 'casual');
+        store.putCalendarEntry = store.removeCalendarEntry = async () => { throw new Error('Quota exceeded'); };
+
+        await assert.rejects(engine.planOutfit('2026-10-20', [1, 2], 'casual'), /Quota exceeded/);
+        await assert.rejects(engine.unplanOutfit('2026-10-19'), /Quota exceeded/);
+        assert.deepEqual(engine.calendar.map(entry => entry.date), ['2026-10-19']);
+    });
+});
@@ -0,0 +1,131 @@
+// Wardrobe archives: reading and validating the file, planning an import and importing it
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { StyleEngine } from '../style-engine.js';
+import { ArchiveError, hashBlob, planArchiveImport, readWardrobeArchive } from '../wardrobe-archive.js';
+import { MemoryWardrobeStore } from './memory-store.js';
+
+const features = { 'color:blue': 1, 'pattern:solid': 1 };
+
+const image = text => `data:image/png;base64,${btoa(text)}`;
+
+function archive(fields = {}) {
+    return {
+        format: 'ai-style-matcher-wardrobe',
+        version: 1,
+        exportedAt: '2026-10-19T08:00:00.000Z',
+        settings: { quota: 60, occasionRules: [] },
+        items: [
+            { id: 'a', name: 'navy-shirt.jpg', category: 'top', colors: [{ hex: '#1f2a5a', weight: 1 }], image: image('shirt') },
+            { id: 'b', name: 'jeans.jpg', category: 'bottom', colors: [{ hex: '#334466', weight: 1 }], image: image('jeans') }
+        ],
+        calendar: [{ date: '2026-10-20', itemIds: ['a', 'b'], occasion: 'casual' }],
+        feedback: [{ itemIds: ['a', 'b'], outfitKey: 'a+b', features, action: 'like', date: 1 }],
+        ...fields
+    };
+}
+
+const file = data => new Blob([JSON.stringify(data)], { type: 'application/json' });
+
+describe('readWardrobeArchive', () => {
+    test('decodes the images and hashes them', async () => {
+        const read = await readWardrobeArchive(file(archive()));
+
+        assert.equal(read.items.length, 2);
+        assert.ok(read.items[0].blob instanceof Blob);
+        assert.equal(await read.items[0].blob.text(), 'shirt');
+        assert.equal(read.items[0].imageHash, await hashBlob(new Blob(['shirt'])));
+        assert.equal(read.settings.quota, 60);
+    });
+
+    const broken = {
+        'not JSON': () => new Blob(['{ nope']),
+        'another format': () => file(archive({ format: 'something-else' })),
+        'a newer version': () => file(archive({ version: 2 })),
+        'an item without an image': () => file(archive({ items: [{ id: 'a', name: 'x.jpg', image: 'https://example.com/x.jpg' }] })),
+        'a color without a hex': () => file(archive({ items: [{ ...archive().items[0], colors: [{ hex: 'navy', weight: 1 }] }] })),
+        'feedback without numeric features': () => file(archive({ feedback: [{ ...archive().feedback[0], features: { color: 'blue' } }] })),
+        'a quota that is not a number': () => file(archive({ settings: { quota: 'abc' } })),
+        'a quota over the maximum': () => file(archive({ settings: { quota: 10000 } })),
+        'a quota of zero': () => file(archive({ settings: { quota: 0 } }))
+    };
+    Object.entries(broken).forEach(([problem, make]) => {
+        test(`rejects ${problem}`, async () => {
+            await assert.rejects(readWardrobeArchive(make()), ArchiveError);
+        });
+    });
+});
+
+describe('planArchiveImport', () => {
+    let ids;
+    const createId = () => ids++;
+
+    beforeEach(() => {
+        ids = 100;
+    });
+
+    test('gives items fresh ids and points calendar and feedback at them', async () => {
+        const plan = planArchiveImport(await readWardrobeArchive(file(archive())), { createId });
+
+        assert.deepEqual(plan.items.map(item => item.id), [100, 101]);
+        assert.ok(plan.items.every(item => !('imageHash' in item)));
+        assert.deepEqual(plan.calendar.map(entry => entry.itemIds), [[100, 101]]);
+        assert.deepEqual(plan.feedback.map(event => [event.itemIds, event.outfitKey]), [[[100, 101], '100+101']]);
+    });
+
+    test('links photos already in the wardrobe instead of adding them again', async () => {
+        const read = await readWardrobeArchive(file(archive()));
+        const plan = planArchiveImport(read, { existing: [{ id: 7, imageHash: read.items[0].imageHash }], createId });
+
+        assert.equal(plan.duplicates, 1);
+        assert.deepEqual(plan.items.map(item => item.name), ['jeans.jpg']);
+        assert.deepEqual(plan.calendar[0].itemIds, [7, 100]);
+        assert.deepEqual(plan.feedback[0].itemIds, [7, 100]);
+    });
+
+    test('skips items over the quota, with the feedback about them', async () => {
+        const plan = planArchiveImport(await readWardrobeArchive(file(archive())), { room: 1, createId });
+
+        assert.equal(plan.skipped, 1);
+        assert.deepEqual(plan.calendar[0].itemIds, [100]);
+        assert.deepEqual(plan.feedback, []);
+    });
+
+    test('keeps days already planned', async () => {
+        const plan = planArchiveImport(await readWardrobeArchive(file(archive())), { existingDates: ['2026-10-20'], createId });
+
+        assert.deepEqual(plan.calendar, []);
+    });
+});
+
+describe('StyleEngine.importArchive', () => {
+    let store;
+    let engine;
+
+    beforeEach(async () => {
+        store = new MemoryWardrobeStore();
+        engine = new StyleEngine({ store });
+        await engine.addItem({ name: 'navy-shirt.jpg', category: 'top', file: new Blob(['shirt']) });
+        await engine.addItem({ name: 'sneakers.jpg', category: 'footwear', file: new Blob(['sneakers']) });
+    });
+
+    test('merges into the wardrobe without adding the same photo twice', async () => {
+        const result = await engine.importArchive(await readWardrobeArchive(file(archive())));
+
+        assert.deepEqual(result, { items: 1, duplicates: 1, skipped: 0 });
+        assert.deepEqual(engine.items.map(item => item.name), ['navy-shirt.jpg', 'sneakers.jpg', 'jeans.jpg']);
+        assert.equal((await store.getAll()).length, 3);
+        assert.equal(engine.feedback.length, 1);
+        assert.equal(engine.preferenceModel.examples, 1);
+    });
+
+    test('replaces the wardrobe and takes over a larger quota', async () => {
+        const result = await engine.importArchive(await readWardrobeArchive(file(archive())), { replace: true });
+
+        assert.deepEqual(result, { items: 2, duplicates: 0, skipped: 0 });
+        assert.deepEqual(engine.items.map(item => item.name), ['navy-shirt.jpg', 'jeans.jpg']);
+        assert.equal(engine.quota, 60);
+        assert.deepEqual(engine.calendar.map(entry => entry.itemIds), [engine.items.map(item => item.id)]);
+    });
+});
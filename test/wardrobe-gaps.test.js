@@ -0,0 +1,53 @@
+// "What's missing?" gap analysis on synthetic wardrobes
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { DEFAULT_OCCASION_RULES } from '../occasion-rules.js';
+import { GENERATOR_BASE_BEAM, GENERATOR_LAYER_BEAM } from '../outfit-generator.js';
+import { analyzeWardrobeGaps } from '../wardrobe-gaps.js';
+import { WARDROBE_MAX_QUOTA } from '../wardrobe-store.js';
+
+const HEXES = ['#1F2A4D', '#F4F4F2', '#808080', '#B22222', '#6B4423', '#A8C8E8', '#2E8B57', '#D6CBB5', '#1C1C1C'];
+const GARMENTS = [['top', 'shirt'], ['bottom', 'trousers'], ['top', 'shirt'], ['bottom', 'trousers'],
+    ['one-piece', 'dress'], ['outerwear', 'jacket'], ['footwear', 'shoes']];
+
+function wardrobe(size) {
+    return Array.from({ length: size }, (_, i) => {
+        const [category, noun] = GARMENTS[i % GARMENTS.length];
+        return { id: i + 1, name: `${noun} ${i + 1}`, category, colors: [{ hex: HEXES[i % HEXES.length], weight: 1 }], pattern: 'solid' };
+    });
+}
+
+describe('analyzeWardrobeGaps', () => {
+    test('stays within the generator beam on a full wardrobe', async () => {
+        const started = Date.now();
+        const report = await analyzeWardrobeGaps(wardrobe(WARDROBE_MAX_QUOTA), DEFAULT_OCCASION_RULES);
+
+        assert.ok(Date.now() - started < 10000);
+        const perRule = GENERATOR_BASE_BEAM * (GENERATOR_LAYER_BEAM + 1) * GENERATOR_LAYER_BEAM;
+        assert.ok(report.outfits > 0);
+        assert.ok(report.occasions.every(occasion => occasion.outfits <= perRule));
+        assert.deepEqual(report.orphans, []);
+    });
+
+    test('reports an item nothing goes with and the addition it needs', async () => {
+        const report = await analyzeWardrobeGaps([
+            { id: 1, name: 'white shirt', category: 'top', colors: [{ hex: '#F4F4F2', weight: 1 }], pattern: 'solid' },
+            { id: 2, name: 'black shoes', category: 'footwear', colors: [{ hex: '#1C1C1C', weight: 1 }], pattern: 'solid' }
+        ], DEFAULT_OCCASION_RULES);
+
+        assert.equal(report.outfits, 0);
+        assert.deepEqual(report.orphans.map(orphan => orphan.itemId), [1, 2]);
+        assert.ok(report.suggestions.some(suggestion => suggestion.item.category === 'bottom'));
+    });
+
+    test('stops when its signal is aborted', async () => {
+        const controller = new AbortController();
+        const analysis = analyzeWardrobeGaps(wardrobe(50), DEFAULT_OCCASION_RULES, {
+            signal: controller.signal,
+            onProgress: () => controller.abort()
+        });
+
+        await assert.rejects(analysis, { name: 'AbortError' });
+    });
+});
@@ -0,0 +1,41 @@
+// Wardrobe panel in the test DOM: the inline editor
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { setupDom } from './dom.js';
+
+setupDom();
+const { AIStyleMatcher } = await import('../app.js');
+
+const app = new AIStyleMatcher();
+const photo = () => new Blob(['not really a photo'], { type: 'image/jpeg' });
+
+function openEditor(item) {
+    app.wardrobePanel.editingId = item.id;
+    app.wardrobePanel.render();
+    return document.querySelector('#imagePreviews .item-editor');
+}
+
+async function save(form, item) {
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return app.engine.getItem(item.id);
+}
+
+describe('item editor', () => {
+    test('keeps an unknown pattern unknown', async () => {
+        const item = await app.engine.addItem({ name: 'shirt.jpg', file: photo(), category: 'top', pattern: null });
+
+        const form = openEditor(item);
+        assert.equal(form.querySelector('[name="pattern"]').value, '');
+        assert.equal((await save(form, item)).pattern, null);
+    });
+
+    test('saves a chosen pattern', async () => {
+        const item = await app.engine.addItem({ name: 'tee.jpg', file: photo(), category: 'top', pattern: null });
+
+        const form = openEditor(item);
+        form.querySelector('[name="pattern"]').value = 'stripes';
+        assert.equal((await save(form, item)).pattern, 'stripes');
+    });
+});
@@ -0,0 +1,239 @@
+// Portable wardrobe archive: export and import of items, planned outfits and feedback
+//
+// An archive is a single JSON file with every image embedded as a data URL:
+// {
+//   format: 'ai-style-matcher-wardrobe', version: 1, exportedAt,
+//   settings: { quota, occasionRules },
+//   items: [{ id, name, category, colors, pattern, warmth, formality, tags, seasons, occasions, dateAdded, ...,
+//             image: 'data:image/...', thumbnail: 'data:image/...' | null, imageHash }],
+//   calendar: [{ date: 'YYYY-MM-DD', itemIds, occasion }],
+//   feedback: [{ itemIds, outfitKey, features, action, date }]
+// }
+// Item ids only link items to calendar and feedback entries; imported items get fresh ids.
+
+import { GARMENT_CATEGORIES } from './garment-classifier.js';
+import { FORMALITY_LEVELS } from './outfit-factors.js';
+import { outfitKeyFromIds } from './outfit-generator.js';
+import { FEEDBACK_ACTIONS } from './preference-model.js';
+import { WARDROBE_MAX_QUOTA } from './wardrobe-store.js';
+
+const ARCHIVE_FORMAT = 'ai-style-matcher-wardrobe';
+const ARCHIVE_VERSION = 1;
+
+export class ArchiveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArchiveError';
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Content hash of an image, used to spot the same photo imported twice
+export async function hashBlob(blob) {
+    const buffer = await blob.arrayBuffer();
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // crypto.subtle is missing outside secure contexts; FNV-1a is enough to compare photos
+    const bytes = new Uint8Array(buffer);
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv1a-${(hash >>> 0).toString(16)}-${bytes.length}`;
+}
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function dataURLToBlob(dataURL) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataURL);
+    if (!match) throw new ArchiveError('Image is not a data URL');
+
+    const binary = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: match[1] || 'application/octet-stream' });
+}
+
+// records are wardrobe-store records ({ blob, thumbnail, ...metadata })
+export async function createWardrobeArchive({ items, calendar = [], feedback = [], quota = null, occasionRules = [] }) {
+    const archivedItems = await Promise.all(items.map(async ({ blob, thumbnail, ...metadata }) => ({
+        ...metadata,
+        image: await blobToDataURL(blob),
+        thumbnail: thumbnail ? await blobToDataURL(thumbnail) : null,
+        imageHash: await hashBlob(blob)
+    })));
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: { quota, occasionRules },
+        items: archivedItems,
+        calendar: calendar.map(({ date, itemIds, occasion }) => ({ date, itemIds, occasion })),
+        feedback: feedback.map(({ id, ...event }) => event)
+    };
+}
+
+// Returns an error message, or null when the archive matches the schema
+function validateArchive(data) {
+    if (!data || typeof data !== 'object') return 'The file is not a wardrobe archive';
+    if (data.format !== ARCHIVE_FORMAT) return 'The file is not a wardrobe archive';
+    if (!Number.isInteger(data.version) || data.version < 1) return 'The archive has no valid version';
+    if (data.version > ARCHIVE_VERSION) return `The archive is version ${data.version}; this app reads up to version ${ARCHIVE_VERSION}`;
+    if (!Array.isArray(data.items)) return '"items" must be an array';
+
+    const ids = new Set();
+    for (const [i, item] of data.items.entries()) {
+        if (!item || typeof item !== 'object') return `Item ${i + 1} is not an object`;
+        if (item.id === undefined || item.id === null) return `Item ${i + 1} needs an "id"`;
+        if (ids.has(item.id)) return `Item id ${item.id} appears twice`;
+        ids.add(item.id);
+        if (typeof item.name !== 'string') return `Item ${i + 1} needs a "name"`;
+        if (typeof item.image !== 'string' || !item.image.startsWith('data:image/')) return `Item ${i + 1} has no embedded image`;
+        if (item.thumbnail !== null && item.thumbnail !== undefined &&
+            (typeof item.thumbnail !== 'string' || !item.thumbnail.startsWith('data:image/'))) {
+            return `Item ${i + 1} has an invalid thumbnail`;
+        }
+        if (item.category !== undefined && !GARMENT_CATEGORIES.some(category => category.value === item.category)) {
+            return `Item ${i + 1} has an unknown category "${item.category}"`;
+        }
+        for (const field of ['colors', 'tags', 'seasons', 'occasions']) {
+            if (item[field] !== undefined && !Array.isArray(item[field])) return `Item ${i + 1} "${field}" must be an array`;
+        }
+        if (item.colors && !item.colors.every(color => isPlainObject(color) &&
+            typeof color.hex === 'string' && /^#[0-9a-f]{6}$/i.test(color.hex) && Number.isFinite(color.weight))) {
+            return `Item ${i + 1} has an invalid color; colors need a "#rrggbb" hex and a weight`;
+        }
+        if (item.formality !== undefined && item.formality !== null &&
+            !FORMALITY_LEVELS.some(level => level.value === item.formality)) {
+            return `Item ${i + 1} has an invalid formality`;
+        }
+    }
+
+    if (data.settings !== undefined && !isPlainObject(data.settings)) return '"settings" must be an object';
+    const quota = data.settings ? data.settings.quota : null;
+    if (quota !== undefined && quota !== null &&
+        (!Number.isInteger(quota) || quota < 1 || quota > WARDROBE_MAX_QUOTA)) {
+        return `"settings.quota" must be a whole number from 1 to ${WARDROBE_MAX_QUOTA}`;
+    }
+    if (data.settings && data.settings.occasionRules !== undefined && !Array.isArray(data.settings.occasionRules)) {
+        return '"settings.occasionRules" must be an array';
+    }
+
+    if (data.calendar !== undefined) {
+        if (!Array.isArray(data.calendar)) return '"calendar" must be an array';
+        for (const entry of data.calendar) {
+            if (!entry || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) return 'Calendar entries need a "YYYY-MM-DD" date';
+            if (!Array.isArray(entry.itemIds)) return `Calendar entry ${entry.date} needs "itemIds"`;
+        }
+    }
+
+    if (data.feedback !== undefined) {
+        if (!Array.isArray(data.feedback)) return '"feedback" must be an array';
+        for (const event of data.feedback) {
+            if (!event || !FEEDBACK_ACTIONS[event.action]) return 'Feedback entries need a known "action"';
+            if (!Array.isArray(event.itemIds)) return 'Feedback entries need "itemIds"';
+            // The preference model trains on these, so every value has to be a number
+            if (!isPlainObject(event.features) || !Object.values(event.features).every(Number.isFinite)) {
+                return 'Feedback entries need "features" mapping names to numbers';
+            }
+        }
+    }
+
+    return null;
+}
+
+// Parse and validate an archive file; images are decoded to blobs and hashed
+export async function readWardrobeArchive(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new ArchiveError('The file is not valid JSON');
+    }
+
+    const problem = validateArchive(data);
+    if (problem) throw new ArchiveError(problem);
+
+    const items = await Promise.all(data.items.map(async ({ image, thumbnail, imageHash, ...metadata }) => {
+        const blob = dataURLToBlob(image);
+        return {
+            ...metadata,
+            blob,
+            thumbnail: thumbnail ? dataURLToBlob(thumbnail) : null,
+            // Recomputed rather than trusted, so hand-edited archives still dedupe correctly
+            imageHash: await hashBlob(blob)
+        };
+    }));
+
+    return {
+        settings: data.settings || {},
+        items,
+        calendar: data.calendar || [],
+        feedback: data.feedback || []
+    };
+}
+
+// Work out what an import adds. existing = [{ id, imageHash }] of items already in the wardrobe,
+// existingDates = calendar days already planned (kept as they are), room = items that still fit.
+// Returns the new item records plus calendar and feedback entries pointing at the right ids.
+export function planArchiveImport(archive, { existing = [], existingDates = [], room = Infinity, createId }) {
+    const idByHash = new Map(existing.map(item => [item.imageHash, item.id]));
+    const idMap = new Map();
+    const items = [];
+    let duplicates = 0;
+    let skipped = 0;
+
+    archive.items.forEach(item => {
+        if (idByHash.has(item.imageHash)) {
+            idMap.set(item.id, idByHash.get(item.imageHash));
+            duplicates++;
+            return;
+        }
+        if (items.length >= room) {
+            skipped++;
+            return;
+        }
+
+        const { imageHash, ...record } = item;
+        record.id = createId();
+        idByHash.set(imageHash, record.id);
+        idMap.set(item.id, record.id);
+        items.push(record);
+    });
+
+    // Calendar entries that lost all of their items (e.g. over the quota) are dropped
+    const remap = itemIds => itemIds.filter(id => idMap.has(id)).map(id => idMap.get(id));
+    const planned = new Set(existingDates);
+
+    const calendar = archive.calendar
+        .filter(entry => !planned.has(entry.date))
+        .map(entry => ({ ...entry, itemIds: remap(entry.itemIds), dateAdded: Date.now() }))
+        .filter(entry => entry.itemIds.length > 0);
+
+    // Feedback is about a whole outfit, so it only survives when every item made it
+    const feedback = archive.feedback
+        .filter(event => event.itemIds.length > 0 && event.itemIds.every(id => idMap.has(id)))
+        .map(({ id, ...event }) => {
+            const itemIds = remap(event.itemIds);
+            return { ...event, itemIds, outfitKey: outfitKeyFromIds(itemIds) };
+        });
+
+    return { items, calendar, feedback, duplicates, skipped };
+}
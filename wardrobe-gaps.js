@@ -0,0 +1,246 @@
+// "What's missing?" gap analysis
+// Counts the good outfits the wardrobe can make for each occasion rule, finds items that hardly
+// ever fit into one and tries generic additions to see which would unlock the most new outfits.
+
+import { describeColor } from './color-analysis.js';
+import { analyzePaletteColor, matchesColorPreference } from './color-harmony.js';
+import { GARMENT_CATEGORIES, isValidOutfit } from './garment-classifier.js';
+import { breaksOccasionRule, isItemAllowedByRule } from './occasion-rules.js';
+import { isPluralNoun } from './outfit-explanation.js';
+import { itemFormality, scoreOccasionFit } from './outfit-factors.js';
+import { GENERATOR_BASE_BEAM, GENERATOR_LAYER_BEAM, enumerateBases, outfitKey, scoreOutfit } from './outfit-generator.js';
+
+const GAP_GOOD_SCORE = 0.65;       // Outfits scoring at least this (before occasion and preference) count
+const GAP_OCCASION_FIT = 0.8;      // Minimum occasion fit for an outfit to count towards an occasion
+const GAP_ORPHAN_MAX = 1;          // Items in at most this many good outfits are reported as orphans
+const GAP_SUGGESTION_LIMIT = 5;
+
+// Generic garment tried for each category; the name drives the formality estimate
+const GAP_GARMENTS = {
+    'top': 'shirt',
+    'bottom': 'trousers',
+    'one-piece': 'dress',
+    'outerwear': 'jacket',
+    'footwear': 'shoes'
+};
+
+// Mostly versatile neutrals, plus two easy accents
+const GAP_COLORS = ['#808080', '#1C1C1C', '#1F2A4D', '#F4F4F2', '#D6CBB5', '#6B4423', '#A8C8E8', '#6D1A2A'];
+
+// Searches a wardrobe the way the generator does, so the work stays bounded however large it is:
+// for each rule, the GENERATOR_BASE_BEAM best bases of the items it allows, each with its
+// GENERATOR_LAYER_BEAM best outerwear and shoes. Scores are shared by every search, which meet the
+// same bases and layers again and again. Returns search(visit, forced): visit(outfit, rule) is
+// called for every good outfit, with forced (an item, possibly hypothetical) in each when given,
+// and stops the search by returning true.
+function createOutfitSearch(byCategory, rules) {
+    const scores = new Map();
+    const score = outfit => {
+        const key = outfitKey(outfit);
+        if (!scores.has(key)) scores.set(key, scoreOutfit(outfit).score);
+        return scores.get(key);
+    };
+
+    const bestBases = lists => enumerateBases(lists)
+        .map(base => ({ base, score: score(base) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, GENERATOR_BASE_BEAM)
+        .map(entry => entry.base);
+
+    // The wardrobe's outerwear or shoes, best first with base
+    const layerRankings = new Map();
+    const rankedLayers = (base, category) => {
+        const key = `${outfitKey(base)}/${category}`;
+        if (!layerRankings.has(key)) {
+            layerRankings.set(key, byCategory[category]
+                .map(layer => ({ layer, score: score([...base, layer]) }))
+                .sort((a, b) => b.score - a.score)
+                .map(entry => entry.layer));
+        }
+        return layerRankings.get(key);
+    };
+
+    const isGood = (outfit, rule) => isValidOutfit(outfit) && score(outfit) >= GAP_GOOD_SCORE &&
+        !breaksOccasionRule(outfit, rule) && scoreOccasionFit(outfit, rule).score >= GAP_OCCASION_FIT;
+
+    const plans = rules.map(rule => {
+        const lists = {};
+        Object.keys(byCategory).forEach(category => {
+            lists[category] = byCategory[category].filter(item => isItemAllowedByRule(item, rule));
+        });
+        return { rule, lists, bases: bestBases(lists) };
+    });
+
+    return function search(visit, forced = null) {
+        const slot = forced ? forced.category : null;
+        for (const { rule, lists, bases } of plans) {
+            if (forced && !isItemAllowedByRule(forced, rule)) continue;
+
+            let ruleBases = bases;
+            if (slot === 'top' || slot === 'bottom') {
+                ruleBases = bestBases({ ...lists, [slot]: [forced], 'one-piece': [] });
+            } else if (slot === 'one-piece') {
+                ruleBases = bestBases({ ...lists, 'top': [], 'one-piece': [forced] });
+            }
+            const layers = (base, category) => slot === category
+                ? [forced]
+                : rankedLayers(base, category)
+                    .filter(layer => isItemAllowedByRule(layer, rule))
+                    .slice(0, GENERATOR_LAYER_BEAM);
+
+            for (const base of ruleBases) {
+                const outerwear = layers(base, 'outerwear');
+                const footwear = layers(base, 'footwear');
+                for (const jacket of slot === 'outerwear' ? outerwear : [null, ...outerwear]) {
+                    for (const shoes of footwear.length > 0 ? footwear : [null]) {
+                        const outfit = [...base, jacket, shoes].filter(Boolean);
+                        if (isGood(outfit, rule) && visit(outfit, rule)) return;
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Distinct good outfits with forced in them, counting stops at limit, and the occasions they suit
+function countGoodOutfits(search, forced, limit = Infinity) {
+    const keys = new Set();
+    const occasionIds = new Set();
+    search((outfit, rule) => {
+        keys.add(outfitKey(outfit));
+        occasionIds.add(rule.id);
+        return keys.size >= limit;
+    }, forced);
+    return { outfits: keys.size, occasionIds };
+}
+
+function groupByCategory(items) {
+    const byCategory = {};
+    GARMENT_CATEGORIES.forEach(category => { byCategory[category.value] = []; });
+    items.forEach(item => {
+        if (byCategory[item.category]) byCategory[item.category].push(item);
+    });
+    return byCategory;
+}
+
+// Category and palette coverage of one occasion rule
+function occasionCoverage(items, rule) {
+    const suitable = items.filter(item => rule.allowedCategories.includes(item.category) &&
+        (!item.occasions || item.occasions.length === 0 || item.occasions.includes(rule.id)) &&
+        itemFormality(item) >= rule.formality[0] && itemFormality(item) <= rule.formality[1]);
+
+    const counts = {};
+    rule.allowedCategories.forEach(category => {
+        counts[category] = suitable.filter(item => item.category === category).length;
+    });
+
+    // A dress covers the base on its own; otherwise a top and a bottom are both needed
+    const baseCategories = counts['one-piece'] > 0 ? [] : ['top', 'bottom'].filter(category => category in counts);
+    const missing = [...new Set([...rule.requiredCategories, ...baseCategories])].filter(category => !counts[category]);
+
+    const palette = rule.paletteBias ? {
+        bias: rule.paletteBias,
+        items: items.filter(item => item.colors && item.colors.length > 0 &&
+            matchesColorPreference(analyzePaletteColor(item.colors[0]), rule.paletteBias)).length
+    } : null;
+
+    return { counts, missing, palette };
+}
+
+function gapCandidates(items) {
+    const candidates = [];
+    Object.keys(GAP_GARMENTS).forEach(category => {
+        GAP_COLORS.forEach(hex => {
+            const colorName = describeColor(hex);
+            // No point suggesting what is already there
+            const owned = items.some(item => item.category === category && item.colors && item.colors.length > 0 &&
+                describeColor(item.colors[0].hex) === colorName);
+            if (owned) return;
+
+            candidates.push({
+                id: `gap-${category}-${hex.slice(1).toLowerCase()}`,
+                name: `${colorName} ${GAP_GARMENTS[category]}`,
+                category,
+                pattern: 'solid',
+                colors: [{ hex, weight: 1 }],
+                seasons: [],
+                occasions: []
+            });
+        });
+    });
+    return candidates;
+}
+
+// Resolves with { outfits, occasions: [{ id, label, outfits, counts, missing, palette }],
+// orphans: [{ itemId, outfits }], suggestions: [{ item, outfits, occasions }] }.
+// Counts are of the outfits the generator would consider, not every combination. Items and
+// candidates are tried one at a time with a yield in between, where signal can stop the analysis.
+export async function analyzeWardrobeGaps(items, rules, { signal = null, onProgress = null } = {}) {
+    const search = createOutfitSearch(groupByCategory(items), rules);
+    const perItem = new Map(items.map(item => [item.id, 0]));
+    const perOccasion = new Map(rules.map(rule => [rule.id, 0]));
+    const counted = new Set();
+
+    search((outfit, rule) => {
+        perOccasion.set(rule.id, perOccasion.get(rule.id) + 1);
+        const key = outfitKey(outfit);
+        if (counted.has(key)) return false;
+        counted.add(key);
+        outfit.forEach(item => perItem.set(item.id, perItem.get(item.id) + 1));
+        return false;
+    });
+
+    // The beam may have passed over an item that does go with others, so each one that looks
+    // like an orphan gets a search of its own
+    const rare = items.filter(item => perItem.get(item.id) <= GAP_ORPHAN_MAX);
+    const candidates = gapCandidates(items);
+    const steps = rare.length + candidates.length;
+    const step = async i => {
+        if (onProgress) onProgress(i / steps);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        signal?.throwIfAborted();
+    };
+
+    for (const [i, item] of rare.entries()) {
+        await step(i);
+        const { outfits } = countGoodOutfits(search, item, GAP_ORPHAN_MAX + 1);
+        perItem.set(item.id, Math.max(perItem.get(item.id), outfits));
+    }
+
+    const suggestions = [];
+    for (const [i, candidate] of candidates.entries()) {
+        await step(rare.length + i);
+        const { outfits, occasionIds } = countGoodOutfits(search, candidate);
+        if (outfits > 0) suggestions.push({ item: candidate, outfits, occasions: [...occasionIds] });
+    }
+
+    return {
+        outfits: counted.size,
+        occasions: rules.map(rule => ({
+            id: rule.id,
+            label: rule.label,
+            outfits: perOccasion.get(rule.id),
+            ...occasionCoverage(items, rule)
+        })),
+        orphans: items
+            .filter(item => perItem.get(item.id) <= GAP_ORPHAN_MAX)
+            .map(item => ({ itemId: item.id, outfits: perItem.get(item.id) })),
+        // The best color per category, so one missing category does not fill the whole list
+        suggestions: suggestions
+            .filter(suggestion => suggestion === suggestions
+                .filter(other => other.item.category === suggestion.item.category)
+                .reduce((best, other) => other.outfits > best.outfits ? other : best))
+            .sort((a, b) => b.outfits - a.outfits)
+            .slice(0, GAP_SUGGESTION_LIMIT)
+    };
+}
+
+// "Neutral grey trousers would add 14 outfits" or "A light blue shirt would add 3 outfits"
+export function describeGapSuggestion(suggestion) {
+    const { item, outfits } = suggestion;
+    const neutral = analyzePaletteColor(item.colors[0]).neutral;
+    const noun = GAP_GARMENTS[item.category];
+    const phrase = `${neutral ? 'neutral ' : ''}${item.name}`;
+    const subject = isPluralNoun(noun) ? phrase : `${/^[aeiou]/.test(phrase) ? 'an' : 'a'} ${phrase}`;
+    return `${subject.charAt(0).toUpperCase() + subject.slice(1)} would add ${outfits} outfit${outfits === 1 ? '' : 's'}`;
+}
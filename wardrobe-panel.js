@@ -0,0 +1,491 @@
+// Wardrobe management panel: filtering, search, multi-select bulk actions and inline editing
+
+import { COLOR_FAMILIES, describeColorFamily } from './color-analysis.js';
+import { buildElement, replaceContent } from './dom-builder.js';
+import { GARMENT_CATEGORIES } from './garment-classifier.js';
+import { describeItem, describeItemPhoto } from './outfit-explanation.js';
+import { FORMALITY_LEVELS, estimateFormality } from './outfit-factors.js';
+import { PATTERN_LABELS } from './pattern-detection.js';
+import { WARDROBE_SEASONS, WARMTH_LEVELS, defaultWarmth } from './season-rules.js';
+import { WARDROBE_MAX_QUOTA } from './wardrobe-store.js';
+
+// Does an item pass the current filters? Items without seasons/occasions count as "any".
+function matchesWardrobeFilters(item, filters) {
+    if (filters.category && item.category !== filters.category) return false;
+    if (filters.pattern && item.pattern !== filters.pattern) return false;
+
+    if (filters.colorFamily) {
+        const families = (item.colors || []).slice(0, 2).map(color => describeColorFamily(color.hex));
+        if (!families.includes(filters.colorFamily)) return false;
+    }
+
+    const seasons = item.seasons || [];
+    if (filters.season && seasons.length > 0 && !seasons.includes(filters.season)) return false;
+
+    const occasions = item.occasions || [];
+    if (filters.occasion && occasions.length > 0 && !occasions.includes(filters.occasion)) return false;
+
+    if (filters.search) {
+        const query = filters.search.toLowerCase();
+        const haystack = [item.name, ...(item.tags || [])].join(' ').toLowerCase();
+        if (!haystack.includes(query)) return false;
+    }
+
+    return true;
+}
+
+function parseTagList(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+export class WardrobePanel {
+    constructor(app) {
+        this.app = app;
+        this.filters = { search: '', category: '', colorFamily: '', pattern: '', season: '', occasion: '' };
+        this.selectedIds = new Set();
+        this.editingId = null;
+    }
+
+    // Built-in and custom occasions, as select options
+    getOccasions() {
+        return this.app.engine.occasionRules.map(rule => ({ value: rule.id, label: rule.label }));
+    }
+
+    // Refill the occasion filter after occasions were added or removed
+    renderOccasionFilter() {
+        const select = document.getElementById('filterOccasion');
+        if (!select) return;
+        replaceContent(select,
+            buildElement('option', { value: '' }, 'All occasions'),
+            this.getOccasions().map(option => buildElement('option', { value: option.value }, option.label))
+        );
+        if (this.getOccasions().some(option => option.value === this.filters.occasion)) {
+            select.value = this.filters.occasion;
+        } else if (this.filters.occasion) {
+            this.filters.occasion = '';
+            this.render();
+        }
+    }
+
+    setup() {
+        const fillOptions = (id, options) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            options.forEach(option => {
+                const el = document.createElement('option');
+                el.value = option.value;
+                el.textContent = option.label;
+                select.appendChild(el);
+            });
+        };
+
+        fillOptions('filterCategory', GARMENT_CATEGORIES);
+        fillOptions('filterColor', COLOR_FAMILIES);
+        fillOptions('filterPattern', Object.keys(PATTERN_LABELS).map(value => ({ value, label: PATTERN_LABELS[value] })));
+        fillOptions('filterSeason', WARDROBE_SEASONS);
+        this.renderOccasionFilter();
+        fillOptions('bulkCategory', GARMENT_CATEGORIES);
+
+        const filterFields = {
+            wardrobeSearch: 'search',
+            filterCategory: 'category',
+            filterColor: 'colorFamily',
+            filterPattern: 'pattern',
+            filterSeason: 'season',
+            filterOccasion: 'occasion'
+        };
+        Object.keys(filterFields).forEach(id => {
+            const field = document.getElementById(id);
+            if (!field) return;
+            field.addEventListener('input', () => {
+                this.filters[filterFields[id]] = field.value.trim();
+                this.render();
+            });
+        });
+
+        const bind = (id, event, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener(event, handler);
+        };
+
+        bind('selectAllItems', 'change', (e) => this.selectVisible(e.target.checked));
+        bind('bulkDeleteBtn', 'click', () => this.bulkDelete());
+        bind('bulkTagBtn', 'click', () => {
+            const input = document.getElementById('bulkTagInput');
+            this.bulkAddTags(parseTagList(input.value));
+            input.value = '';
+        });
+        bind('bulkCategory', 'change', (e) => {
+            if (!e.target.value) return;
+            this.bulkUpdate({ category: e.target.value, categorySource: 'user' });
+            e.target.value = '';
+        });
+        bind('usePoolBtn', 'click', () => this.app.engine.setGeneratorPool([...this.selectedIds]));
+        bind('clearPoolBtn', 'click', () => this.app.engine.setGeneratorPool(null));
+
+        const quotaInput = document.getElementById('quotaInput');
+        if (quotaInput) quotaInput.max = WARDROBE_MAX_QUOTA;
+        bind('quotaForm', 'submit', (e) => {
+            e.preventDefault();
+            this.saveQuota(quotaInput.value);
+        });
+    }
+
+    // Returns an error message, or null when value is a size the wardrobe can take
+    validateQuota(value) {
+        const count = this.app.engine.items.length;
+        const quota = Number(value);
+        if (!value.trim() || !Number.isInteger(quota)) return 'Enter the wardrobe size as a whole number of items.';
+        if (quota > WARDROBE_MAX_QUOTA) return `The wardrobe can hold at most ${WARDROBE_MAX_QUOTA} items.`;
+        if (quota < Math.max(1, count)) {
+            return count > 0
+                ? `The wardrobe already holds ${count} item${count === 1 ? '' : 's'}. Remove some before making it smaller.`
+                : 'The wardrobe needs room for at least one item.';
+        }
+        return null;
+    }
+
+    async saveQuota(value) {
+        const input = document.getElementById('quotaInput');
+        const error = this.validateQuota(value);
+        if (input) input.setAttribute('aria-invalid', String(Boolean(error)));
+        if (error) {
+            this.app.showMessage(error);
+            return;
+        }
+
+        await this.app.engine.setQuota(Number(value));
+        this.renderQuota();
+        this.app.announce(`The wardrobe now holds up to ${this.app.engine.quota} items.`);
+    }
+
+    renderQuota() {
+        const { items, quota } = this.app.engine;
+        const usage = document.getElementById('quotaUsage');
+        if (usage) usage.textContent = `${items.length} of ${quota} item${quota === 1 ? '' : 's'} used`;
+
+        // Leave a value the user is still typing alone
+        const input = document.getElementById('quotaInput');
+        if (input && document.activeElement !== input) input.value = quota;
+    }
+
+    getVisibleItems() {
+        return this.app.engine.items.filter(item => matchesWardrobeFilters(item, this.filters));
+    }
+
+    selectVisible(selected) {
+        this.getVisibleItems().forEach(item => {
+            if (selected) {
+                this.selectedIds.add(item.id);
+            } else {
+                this.selectedIds.delete(item.id);
+            }
+        });
+        this.render();
+    }
+
+    getSelectedItems() {
+        return this.app.engine.items.filter(item => this.selectedIds.has(item.id));
+    }
+
+    async bulkDelete() {
+        const items = this.getSelectedItems();
+        if (items.length === 0) return;
+        if (!confirm(`Delete ${items.length} item${items.length === 1 ? '' : 's'} from your wardrobe?`)) return;
+
+        for (const item of items) {
+            await this.app.engine.removeItem(item.id);
+        }
+        this.selectedIds.clear();
+        this.render();
+        this.app.announce(`${items.length} item${items.length === 1 ? '' : 's'} deleted.`);
+        // The focused Delete button is disabled now that nothing is selected
+        document.getElementById('selectAllItems')?.focus();
+    }
+
+    async bulkAddTags(tags) {
+        if (tags.length === 0) return;
+        for (const item of this.getSelectedItems()) {
+            await this.app.engine.updateItem(item.id, { tags: [...new Set([...(item.tags || []), ...tags])] });
+        }
+        this.render();
+        this.app.announce(`Tagged ${this.selectedIds.size} item${this.selectedIds.size === 1 ? '' : 's'}.`);
+    }
+
+    async bulkUpdate(changes) {
+        for (const item of this.getSelectedItems()) {
+            await this.app.engine.updateItem(item.id, changes);
+        }
+        this.render();
+        this.app.announce(`Updated ${this.selectedIds.size} item${this.selectedIds.size === 1 ? '' : 's'}.`);
+    }
+
+    render() {
+        const container = document.getElementById('imagePreviews');
+        if (!container) return;
+
+        // Forget selections of items that no longer exist
+        const ids = new Set(this.app.engine.items.map(item => item.id));
+        this.selectedIds.forEach(id => {
+            if (!ids.has(id)) this.selectedIds.delete(id);
+        });
+
+        // Re-rendering replaces every control; keep keyboard focus on the same one
+        const focusKey = container.contains(document.activeElement) ? document.activeElement.dataset.focusKey : null;
+
+        const visible = this.getVisibleItems();
+        container.replaceChildren();
+        visible.forEach(item => container.appendChild(this.renderItem(item)));
+
+        if (visible.length === 0 && this.app.engine.items.length > 0) {
+            const empty = document.createElement('p');
+            empty.className = 'wardrobe-empty';
+            empty.textContent = 'No items match the current filters.';
+            container.appendChild(empty);
+        }
+
+        this.renderToolbarState(visible);
+        this.renderQuota();
+        if (focusKey) this.focusControl(focusKey);
+    }
+
+    // Focus an item's control by its data-focus-key, e.g. "12-edit"; false when it is not shown
+    focusControl(key) {
+        const control = [...document.querySelectorAll('#imagePreviews [data-focus-key]')]
+            .find(element => element.dataset.focusKey === key);
+        if (control) control.focus();
+        return Boolean(control);
+    }
+
+    renderToolbarState(visible) {
+        const count = document.getElementById('selectionCount');
+        if (count) count.textContent = `${this.selectedIds.size} selected`;
+
+        const selectAll = document.getElementById('selectAllItems');
+        if (selectAll) {
+            const selectedVisible = visible.filter(item => this.selectedIds.has(item.id)).length;
+            selectAll.checked = visible.length > 0 && selectedVisible === visible.length;
+            selectAll.indeterminate = selectedVisible > 0 && selectedVisible < visible.length;
+        }
+
+        ['bulkDeleteBtn', 'bulkTagBtn', 'bulkCategory', 'usePoolBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = this.selectedIds.size === 0;
+        });
+
+        const poolStatus = document.getElementById('wardrobePoolStatus');
+        const poolText = document.getElementById('wardrobePoolText');
+        const pool = this.app.engine.getGeneratorItems();
+        if (poolStatus && poolText) {
+            const limited = this.app.engine.generatorPool !== null;
+            poolStatus.classList.toggle('hidden', !limited);
+            poolText.textContent = `Outfits will only use ${pool.length} of ${this.app.engine.items.length} items.`;
+        }
+    }
+
+    renderItem(image) {
+        const previewDiv = document.createElement('div');
+        previewDiv.className = 'image-preview';
+        if (this.selectedIds.has(image.id)) previewDiv.classList.add('image-preview--selected');
+        if (this.app.engine.generatorPool && !this.app.engine.generatorPool.has(image.id)) {
+            previewDiv.classList.add('image-preview--excluded');
+        }
+        const anchored = this.app.engine.anchorIds.has(image.id);
+        const excluded = this.app.engine.excludedIds.has(image.id);
+        if (anchored) previewDiv.classList.add('image-preview--anchor');
+        if (excluded) previewDiv.classList.add('image-preview--excluded');
+
+        const categoryOptions = GARMENT_CATEGORIES.map(category =>
+            buildElement('option', {
+                value: category.value, selected: category.value === image.category
+            }, category.label)
+        );
+        const pinButton = (pin, active, label, title) => buildElement('button', {
+            type: 'button',
+            className: `image-pin${active ? ' image-pin--active' : ''}`,
+            dataset: { pin, focusKey: `${image.id}-${pin}` },
+            title,
+            'aria-label': `${label} ${image.name}`,
+            'aria-pressed': String(active),
+            on: { click: () => this.togglePin(image, pin) }
+        }, label);
+
+        previewDiv.setAttribute('role', 'group');
+        previewDiv.setAttribute('aria-label', image.name);
+        previewDiv.append(
+            buildElement('img', { src: this.app.getThumbnailUrl(image), alt: describeItemPhoto(image) }),
+            buildElement('input', {
+                type: 'checkbox',
+                className: 'image-select',
+                dataset: { focusKey: `${image.id}-select` },
+                title: 'Select item',
+                'aria-label': `Select ${image.name}`,
+                checked: this.selectedIds.has(image.id),
+                on: {
+                    change: (e) => {
+                        if (e.target.checked) {
+                            this.selectedIds.add(image.id);
+                        } else {
+                            this.selectedIds.delete(image.id);
+                        }
+                        this.render();
+                    }
+                }
+            }),
+            buildElement('button', {
+                type: 'button',
+                className: 'image-remove',
+                dataset: { imageId: image.id },
+                title: 'Remove image',
+                'aria-label': `Remove ${image.name}`,
+                on: {
+                    click: async (e) => {
+                        e.preventDefault();
+                        // Focus moves to the neighbouring item, or back to the upload area
+                        const neighbour = previewDiv.nextElementSibling || previewDiv.previousElementSibling;
+                        const neighbourKey = neighbour?.querySelector('[data-focus-key]')?.dataset.focusKey;
+                        await this.app.engine.removeItem(image.id);
+                        this.app.announce(`${image.name} was removed.`);
+                        if (!neighbourKey || !this.focusControl(neighbourKey)) {
+                            document.getElementById('uploadArea')?.focus();
+                        }
+                    }
+                }
+            }, '✕')
+        );
+        if (image.pattern) {
+            previewDiv.appendChild(buildElement('span', { className: 'image-pattern' }, PATTERN_LABELS[image.pattern]));
+        }
+        previewDiv.append(
+            buildElement('div', { className: 'image-meta' },
+                buildElement('span', { className: 'image-name' }, image.name),
+                buildElement('button', {
+                    type: 'button',
+                    className: 'image-edit',
+                    dataset: { focusKey: `${image.id}-edit` },
+                    title: 'Edit details',
+                    'aria-label': `Edit ${image.name}`,
+                    'aria-expanded': String(this.editingId === image.id),
+                    on: {
+                        click: () => {
+                            this.editingId = this.editingId === image.id ? null : image.id;
+                            this.render();
+                            if (this.editingId) document.querySelector('#imagePreviews .item-editor [name="name"]')?.focus();
+                        }
+                    }
+                }, 'Edit')
+            ),
+            // Let the user correct the detected category
+            buildElement('select', {
+                className: 'image-category',
+                dataset: { focusKey: `${image.id}-category` },
+                title: 'Garment category',
+                'aria-label': `Category of ${image.name}`,
+                on: { change: (e) => this.app.engine.setItemCategory(image.id, e.target.value) }
+            }, categoryOptions),
+            buildElement('div', { className: 'image-pins' },
+                pinButton('anchor', anchored, 'Anchor', 'Build outfits around this item'),
+                pinButton('exclude', excluded, 'Exclude', 'Never use this item in outfits')
+            )
+        );
+
+        if (this.editingId === image.id) {
+            previewDiv.classList.add('image-preview--editing');
+            previewDiv.appendChild(this.renderEditor(image));
+        }
+
+        return previewDiv;
+    }
+
+    togglePin(image, pin) {
+        const replaced = this.app.engine.togglePin(image.id, pin);
+        if (replaced.length > 0) {
+            this.app.announce(`Now building around the ${describeItem(image)} instead of the ${replaced.map(describeItem).join(' and ')}.`);
+        }
+    }
+
+    // Close the inline form and return focus to the item's Edit button
+    closeEditor(id) {
+        this.editingId = null;
+        this.render();
+        this.focusControl(`${id}-edit`);
+    }
+
+    // Inline form for an item's metadata
+    renderEditor(image) {
+        const checkboxes = (name, options, selected) => options.map(option =>
+            buildElement('label', { className: 'item-editor__check' },
+                buildElement('input', {
+                    type: 'checkbox', name, value: option.value, checked: (selected || []).includes(option.value)
+                }),
+                ` ${option.label}`
+            )
+        );
+        const selectOptions = (options, selected) => options.map(option =>
+            buildElement('option', { value: option.value, selected: option.value === selected }, option.label)
+        );
+
+        const warmth = image.warmth || defaultWarmth(image.category);
+        const patterns = Object.keys(PATTERN_LABELS).map(value => ({ value, label: PATTERN_LABELS[value] }));
+
+        // Labels point at their controls by id, unique per item
+        const field = (label, control) => {
+            control.id = `item-${image.id}-${control.name}`;
+            return buildElement('div', { className: 'form-group' },
+                buildElement('label', { className: 'form-label', for: control.id }, label),
+                control
+            );
+        };
+        const group = (legend, controls) => buildElement('fieldset', { className: 'item-editor__group' },
+            buildElement('legend', { className: 'form-label' }, legend),
+            controls
+        );
+
+        const form = buildElement('form', { className: 'item-editor', 'aria-label': `Details of ${image.name}` },
+            field('Name', buildElement('input', {
+                type: 'text', name: 'name', className: 'form-control', value: image.name
+            })),
+            // Empty when the analysis could not tell; saving it keeps the pattern unknown
+            field('Pattern', buildElement('select', { name: 'pattern', className: 'form-control' },
+                buildElement('option', { value: '', selected: !image.pattern }, 'Unknown'),
+                selectOptions(patterns, image.pattern))),
+            field('Warmth', buildElement('select', { name: 'warmth', className: 'form-control' },
+                selectOptions(WARMTH_LEVELS, warmth))),
+            // Empty means "estimate from the name", which follows later renames
+            field('Formality', buildElement('select', { name: 'formality', className: 'form-control' },
+                buildElement('option', { value: '' }, `Auto (${FORMALITY_LEVELS[estimateFormality(image) - 1].label})`),
+                selectOptions(FORMALITY_LEVELS, image.formality))),
+            group('Seasons', checkboxes('seasons', WARDROBE_SEASONS, image.seasons)),
+            group('Occasions', checkboxes('occasions', this.getOccasions(), image.occasions)),
+            field('Tags (comma separated)', buildElement('input', {
+                type: 'text', name: 'tags', className: 'form-control', value: (image.tags || []).join(', ')
+            })),
+            buildElement('div', { className: 'item-editor__actions' },
+                buildElement('button', { type: 'submit', className: 'btn btn--sm btn--primary' }, 'Save'),
+                buildElement('button', {
+                    type: 'button', className: 'btn btn--sm btn--secondary item-editor__cancel'
+                }, 'Cancel')
+            )
+        );
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = new FormData(form);
+            await this.app.engine.updateItem(image.id, {
+                name: data.get('name').trim() || image.name,
+                pattern: data.get('pattern') || null,
+                warmth: Number(data.get('warmth')),
+                formality: Number(data.get('formality')) || null,
+                seasons: data.getAll('seasons'),
+                occasions: data.getAll('occasions'),
+                tags: parseTagList(data.get('tags'))
+            });
+            this.closeEditor(image.id);
+            this.app.announce('Details saved.');
+        });
+
+        form.querySelector('.item-editor__cancel').addEventListener('click', () => this.closeEditor(image.id));
+
+        return form;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,159 @@
+// Persistent wardrobe backed by IndexedDB
+// Keeps each item's image blob, a thumbnail and its metadata across sessions.
+
+const WARDROBE_DB_NAME = 'ai-style-matcher';
+const WARDROBE_DB_VERSION = 3;
+const WARDROBE_ITEMS_STORE = 'items';
+const WARDROBE_SETTINGS_STORE = 'settings';
+const WARDROBE_FEEDBACK_STORE = 'feedback';
+const WARDROBE_CALENDAR_STORE = 'calendar';
+export const WARDROBE_DEFAULT_QUOTA = 50;
+export const WARDROBE_MAX_QUOTA = 200;     // Every photo is kept in the browser, so the size is capped
+
+export class WardrobeStore {
+    constructor() {
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(WARDROBE_DB_NAME, WARDROBE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(WARDROBE_ITEMS_STORE)) {
+                    const items = db.createObjectStore(WARDROBE_ITEMS_STORE, { keyPath: 'id' });
+                    items.createIndex('dateAdded', 'dateAdded');
+                }
+                if (!db.objectStoreNames.contains(WARDROBE_SETTINGS_STORE)) {
+                    db.createObjectStore(WARDROBE_SETTINGS_STORE);
+                }
+                if (!db.objectStoreNames.contains(WARDROBE_FEEDBACK_STORE)) {
+                    db.createObjectStore(WARDROBE_FEEDBACK_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(WARDROBE_CALENDAR_STORE)) {
+                    db.createObjectStore(WARDROBE_CALENDAR_STORE, { keyPath: 'date' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run one request in its own transaction and resolve with its result
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // All items, oldest first
+    async getAll() {
+        const items = await this.request(WARDROBE_ITEMS_STORE, 'readonly', store => store.getAll());
+        return items.sort((a, b) => a.dateAdded - b.dateAdded);
+    }
+
+    get(id) {
+        return this.request(WARDROBE_ITEMS_STORE, 'readonly', store => store.get(id));
+    }
+
+    async add(item) {
+        const record = { tags: [], dateAdded: Date.now(), ...item };
+        await this.request(WARDROBE_ITEMS_STORE, 'readwrite', store => store.add(record));
+        return record;
+    }
+
+    // Merge metadata changes into an existing item
+    async update(id, changes) {
+        const existing = await this.get(id);
+        if (!existing) throw new Error(`Wardrobe item ${id} not found`);
+
+        const record = { ...existing, ...changes, id };
+        await this.request(WARDROBE_ITEMS_STORE, 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    remove(id) {
+        return this.request(WARDROBE_ITEMS_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    // Empty the wardrobe, its feedback and the calendar; settings are kept
+    async clear() {
+        const db = await this.open();
+        const stores = [WARDROBE_ITEMS_STORE, WARDROBE_FEEDBACK_STORE, WARDROBE_CALENDAR_STORE];
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(stores, 'readwrite');
+            stores.forEach(name => transaction.objectStore(name).clear());
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Feedback events on combinations: { itemIds, outfitKey, features, action, date }
+    getFeedback() {
+        return this.request(WARDROBE_FEEDBACK_STORE, 'readonly', store => store.getAll());
+    }
+
+    async addFeedback(event) {
+        const id = await this.request(WARDROBE_FEEDBACK_STORE, 'readwrite', store => store.add(event));
+        return { ...event, id };
+    }
+
+    removeFeedback(id) {
+        return this.request(WARDROBE_FEEDBACK_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    // Planned outfits, one per day: { date: 'YYYY-MM-DD', itemIds, occasion, dateAdded }
+    getCalendar() {
+        return this.request(WARDROBE_CALENDAR_STORE, 'readonly', store => store.getAll());
+    }
+
+    async putCalendarEntry(entry) {
+        await this.request(WARDROBE_CALENDAR_STORE, 'readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    removeCalendarEntry(date) {
+        return this.request(WARDROBE_CALENDAR_STORE, 'readwrite', store => store.delete(date));
+    }
+
+    getSetting(key, defaultValue) {
+        return this.request(WARDROBE_SETTINGS_STORE, 'readonly', store => store.get(key))
+            .then(value => value === undefined ? defaultValue : value);
+    }
+
+    setSetting(key, value) {
+        return this.request(WARDROBE_SETTINGS_STORE, 'readwrite', store => store.put(value, key));
+    }
+
+    getQuota() {
+        return this.getSetting('quota', WARDROBE_DEFAULT_QUOTA);
+    }
+
+    setQuota(quota) {
+        return this.setSetting('quota', quota);
+    }
+
+    // Custom occasions and edited built-in ones (see occasion-rules.js)
+    getOccasionRules() {
+        return this.getSetting('occasionRules', []);
+    }
+
+    setOccasionRules(rules) {
+        return this.setSetting('occasionRules', rules);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Pluggable weather providers
+//
+// A provider implements getConditions() and resolves with { temperature, season, description },
+// where temperature is in °C and season is one of the WARDROBE_SEASONS values.
+//
+// Built-in providers:
+//   StubWeatherProvider      - fixed conditions, for testing without network or location access
+//   OpenMeteoWeatherProvider - current temperature for the device location from open-meteo.com
+
+import { seasonForDate } from './season-rules.js';
+
+export class WeatherProvider {
+    getConditions() {
+        return Promise.reject(new Error(`${this.constructor.name} does not implement getConditions()`));
+    }
+}
+
+export class StubWeatherProvider extends WeatherProvider {
+    constructor({ temperature = 18, season = seasonForDate(), description = 'Stub weather' } = {}) {
+        super();
+        this.conditions = { temperature, season, description };
+    }
+
+    getConditions() {
+        return Promise.resolve({ ...this.conditions });
+    }
+}
+
+export class OpenMeteoWeatherProvider extends WeatherProvider {
+    constructor({ endpoint = 'https://api.open-meteo.com/v1/forecast', timeout = 10000 } = {}) {
+        super();
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+    }
+
+    getPosition() {
+        return new Promise((resolve, reject) => {
+            if (!navigator.geolocation) {
+                reject(new Error('Location is not available on this device'));
+                return;
+            }
+            navigator.geolocation.getCurrentPosition(
+                position => resolve(position.coords),
+                () => reject(new Error('Location permission was denied')),
+                { timeout: this.timeout, maximumAge: 30 * 60 * 1000 }
+            );
+        });
+    }
+
+    async getConditions() {
+        const { latitude, longitude } = await this.getPosition();
+        const url = `${this.endpoint}?latitude=${latitude.toFixed(2)}&longitude=${longitude.toFixed(2)}&current=temperature_2m`;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) throw new Error(`Weather service responded with ${response.status}`);
+            const data = await response.json();
+            const temperature = data.current?.temperature_2m;
+            if (typeof temperature !== 'number') throw new Error('Weather response has no temperature');
+
+            return {
+                temperature,
+                season: seasonForDate(new Date(), latitude),
+                description: `${Math.round(temperature)}°C at your location`
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// The provider for a configured name ("open-meteo", "stub" or empty for none)
+export function createWeatherProvider(name = '') {
+    switch (name) {
+        case 'open-meteo':
+            return new OpenMeteoWeatherProvider();
+        case 'stub':
+            return new StubWeatherProvider();
+        default:
+            return null;
+    }
+}